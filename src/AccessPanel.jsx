@@ -0,0 +1,135 @@
+import { useState } from 'react';
+import { ROLES, normalizeEmail, validateAccess } from './access.js';
+
+function RoleSelect({ value, onChange }) {
+  return (
+    <select value={value} onChange={(event) => onChange(event.target.value)}>
+      {Object.entries(ROLES).map(([role, label]) => (
+        <option key={role} value={role}>
+          {label}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+export default function AccessPanel({ access, currentEmail, onSave, onClose }) {
+  const [draft, setDraft] = useState(access);
+  const [member, setMember] = useState({ email: '', role: 'operator' });
+  const [domain, setDomain] = useState({ domain: '', role: 'viewer' });
+
+  function setEntry(section, key, role) {
+    setDraft((prev) => {
+      const next = { ...prev[section] };
+      if (role) next[key] = role;
+      else delete next[key];
+      return { ...prev, [section]: next };
+    });
+  }
+
+  function addMember(event) {
+    event.preventDefault();
+    const email = normalizeEmail(member.email);
+    if (!/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email)) {
+      window.alert('Please enter a valid email address.');
+      return;
+    }
+    setEntry('members', email, member.role);
+    setMember({ email: '', role: 'operator' });
+  }
+
+  function addDomain(event) {
+    event.preventDefault();
+    const value = normalizeEmail(domain.domain).replace(/^@/, '');
+    if (!/^[^@\s]+\.[^@\s]+$/.test(value)) {
+      window.alert('Please enter a valid domain, for example example.com.');
+      return;
+    }
+    setEntry('domains', value, domain.role);
+    setDomain({ domain: '', role: 'viewer' });
+  }
+
+  function handleSave() {
+    const error = validateAccess(draft);
+    if (error) {
+      window.alert(error);
+      return;
+    }
+    if (draft.members[normalizeEmail(currentEmail)] !== 'admin') {
+      const confirmed = window.confirm('You are removing your own admin access. Continue?');
+      if (!confirmed) return;
+    }
+    onSave(draft);
+  }
+
+  return (
+    <section className="panel import-panel">
+      <div className="editor-heading">
+        <h2>Access Control</h2>
+        <div className="panel-tools">
+          <button type="button" className="btn btn-soft" onClick={onClose}>
+            Close
+          </button>
+          <button type="button" className="btn btn-primary" onClick={handleSave}>
+            Save Access
+          </button>
+        </div>
+      </div>
+      <p className="muted">
+        Accounts listed by email get that role. Anyone else from an allowed domain gets the domain role. All other
+        Google accounts are denied.
+      </p>
+
+      <div className="access-grid">
+        <div className="access-column">
+          <h3>Members</h3>
+          {Object.entries(draft.members).map(([email, role]) => (
+            <div className="access-row" key={email}>
+              <span>{email}</span>
+              <RoleSelect value={role} onChange={(value) => setEntry('members', email, value)} />
+              <button type="button" className="btn-chip danger" onClick={() => setEntry('members', email, null)}>
+                Remove
+              </button>
+            </div>
+          ))}
+          <form className="access-row" onSubmit={addMember}>
+            <input
+              value={member.email}
+              onChange={(event) => setMember((prev) => ({ ...prev, email: event.target.value }))}
+              placeholder="jamie@example.com"
+            />
+            <RoleSelect value={member.role} onChange={(role) => setMember((prev) => ({ ...prev, role }))} />
+            <button type="submit" className="btn-chip">
+              Add
+            </button>
+          </form>
+        </div>
+
+        <div className="access-column">
+          <h3>Allowed Domains</h3>
+          {Object.keys(draft.domains).length === 0 ? <p className="muted">No domains allowed.</p> : null}
+          {Object.entries(draft.domains).map(([name, role]) => (
+            <div className="access-row" key={name}>
+              <span>@{name}</span>
+              <RoleSelect value={role} onChange={(value) => setEntry('domains', name, value)} />
+              <button type="button" className="btn-chip danger" onClick={() => setEntry('domains', name, null)}>
+                Remove
+              </button>
+            </div>
+          ))}
+          <form className="access-row" onSubmit={addDomain}>
+            <input
+              value={domain.domain}
+              onChange={(event) => setDomain((prev) => ({ ...prev, domain: event.target.value }))}
+              placeholder="example.com"
+            />
+            <RoleSelect value={domain.role} onChange={(role) => setDomain((prev) => ({ ...prev, role }))} />
+            <button type="submit" className="btn-chip">
+              Add
+            </button>
+          </form>
+        </div>
+      </div>
+    </section>
+  );
+}
@@ -1,14 +1,132 @@
-import { useEffect, useMemo, useState } from 'react';
+import { useEffect, useMemo, useRef, useState } from 'react';
 import {
   onAuthStateChanged,
   signInWithPopup,
   signInWithRedirect,
   signOut as firebaseSignOut
 } from 'firebase/auth';
-import { deleteProofBlob, getProofBlob, putProofBlob } from './db.js';
+import { can, flattenAccess, normalizeAccess, resolveRole, ROLES, withBootstrapAdmin } from './access.js';
+import AccessPanel from './AccessPanel.jsx';
+import { appendAudit, diffFields } from './audit.js';
+import AuditTrail from './AuditTrail.jsx';
+import { BANK_FORMATS, bankBatches, bankFileCandidates, buildNacha, buildSepa, originatorIssues } from './bank.js';
+import BankFilePanel from './BankFilePanel.jsx';
+import { closedMergePeriods, mergeStates, referencedProofs, replaceState } from './backup.js';
+import BackupPanel from './BackupPanel.jsx';
+import BulkProofUpload from './BulkProofUpload.jsx';
+import { downloadCsv, downloadFile } from './csv.js';
+import DataTransferPanel from './DataTransferPanel.jsx';
+import { convert, CURRENCIES, DEFAULT_CURRENCY, monthRates, normalizeSettings, rateFor } from './currency.js';
+import EmployeeEditor from './EmployeeEditor.jsx';
+import ExchangeRatesPanel from './ExchangeRatesPanel.jsx';
+import {
+  closurePeriods,
+  expireHistory,
+  heldProofIds,
+  lockedPeriods,
+  recordChange,
+  redo,
+  redoEntry,
+  replacePresent,
+  startTimeline,
+  undo,
+  undoEntry
+} from './history.js';
+import {
+  currencyForMonth,
+  currentSalary,
+  monthOf,
+  normalizeEmployee,
+  salaryForMonth,
+  validateEmployeeInput,
+  withSalaryChange
+} from './employees.js';
 import { auth, isFirebaseConfigured, provider } from './firebase.js';
-
-const STATE_KEY_PREFIX = 'payrollControlCenterReactV2';
+import { formatBytes, formatCurrency, monthLabel, periodLabel } from './format.js';
+import { sha256Hex } from './hash.js';
+import ImportPanel from './ImportPanel.jsx';
+import { closeMonth, isMonthClosed, monthRoster, periodEmployees, reopenMonth } from './months.js';
+import { computePay } from './pay.js';
+import PayAdjustments from './PayAdjustments.jsx';
+import PaydayPanel from './PaydayPanel.jsx';
+import { deadlineFor, deadlineLabel, paydayFor } from './paydays.js';
+import PaySchedulesPanel from './PaySchedulesPanel.jsx';
+import {
+  addPayment,
+  describePayments,
+  isFullyPaid,
+  outstandingAmount,
+  paidAmount,
+  PAYMENT_METHODS,
+  PAYMENT_STATUSES,
+  payBalance,
+  paymentStatus,
+  removePayment,
+  unlinkProof
+} from './payments.js';
+import PaymentsCell from './PaymentsCell.jsx';
+import { payslipArchive, payslipData, payslipNumber } from './payslips.js';
+import PayslipPanel from './PayslipPanel.jsx';
+import { extractPdfText } from './pdf.js';
+import {
+  expectedProofValues,
+  extractProofFields,
+  findDuplicateProofs,
+  proofWarnings
+} from './proofCheck.js';
+import { isPdfProof, isProofFile, PROOF_ACCEPT, proofType } from './proofFiles.js';
+import { proofsInOtherStates } from './proofStorage.js';
+import PeriodPicker from './PeriodPicker.jsx';
+import ProofViewer from './ProofViewer.jsx';
+import RecoveryPanel from './RecoveryPanel.jsx';
+import { monthRows } from './reports.js';
+import ReportsPanel from './ReportsPanel.jsx';
+import { isSchemaError, migrateState, SCHEMA_VERSION } from './schema.js';
+import {
+  describePeriod,
+  isPeriodKey,
+  periodMonth,
+  periodRange,
+  periodScheduleId,
+  periodSlug
+} from './schedules.js';
+import {
+  applyTableView,
+  defaultTableView,
+  groupRows,
+  loadTableView,
+  saveTableView,
+  SORT_KEYS,
+  toggleSort
+} from './tableView.js';
+import { transferCandidates } from './transfer.js';
+import usePaydayReminders, { loadReminders, remindersSupported, saveReminders } from './usePaydayReminders.js';
+import useOnline from './useOnline.js';
+import useVirtualRows from './useVirtualRows.js';
+import StoragePanel from './StoragePanel.jsx';
+import UndoToast from './UndoToast.jsx';
+import {
+  copyLocalProofs,
+  createStorage,
+  handledImports,
+  listLocalStates,
+  localStateKey,
+  markImportHandled,
+  mergeWorkspaceStates,
+  sameValue,
+  storageBackend,
+  workspaceData
+} from './storage/index.js';
+import {
+  approveRecord,
+  payChanged,
+  recordStage,
+  rejectRecord,
+  returnToDraft,
+  stageCounts,
+  STAGES,
+  submitRecord
+} from './workflow.js';
 
 const seededEmployees = [
   { id: crypto.randomUUID(), name: 'Avery Chen', department: 'Engineering', salary: 6800 },
@@ -24,75 +142,182 @@ function todayMonth() {
   return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
 }
 
-function safeParse(value) {
-  try {
-    return value ? JSON.parse(value) : null;
-  } catch {
-    return null;
-  }
+function normalizeState(loaded, { seed = true } = {}) {
+  const employees = (
+    Array.isArray(loaded?.employees) && (loaded.employees.length || !seed) ? loaded.employees : seededEmployees
+  ).map(normalizeEmployee);
+
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    selectedPeriod: isPeriodKey(loaded?.selectedPeriod) ? loaded.selectedPeriod : todayMonth(),
+    employees,
+    records: loaded?.records || {},
+    monthClosures: loaded?.monthClosures || {},
+    exchangeRates: loaded?.exchangeRates || {},
+    settings: normalizeSettings(loaded?.settings),
+    auditLog: Array.isArray(loaded?.auditLog) ? loaded.auditLog : [],
+    access: normalizeAccess(loaded?.access)
+  };
 }
 
-function formatCurrency(value) {
-  return new Intl.NumberFormat('en-US', {
-    style: 'currency',
-    currency: 'USD',
-    maximumFractionDigits: 0
-  }).format(value || 0);
+const RECORD_PERMISSIONS = {
+  'proof.upload': 'proofs.upload',
+  'proof.delete': 'proofs.delete',
+  'record.submit': 'records.submit',
+  'record.approve': 'records.approve',
+  'record.reject': 'records.approve'
+};
+
+function employeeName(state, employeeId) {
+  return (
+    state.employees.find((employee) => employee.id === employeeId)?.name ||
+    state.records[state.selectedPeriod]?.[employeeId]?.snapshot?.name ||
+    ''
+  );
 }
 
-function formatBytes(bytes) {
-  if (bytes < 1024) return `${bytes} B`;
-  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
-  return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+function conflictNames(state, conflicts) {
+  const names = [...new Set(conflicts.map((conflict) => employeeName(state, conflict.id)).filter(Boolean))].join(', ');
+  return names ? ` (${names}).` : '.';
 }
 
-function monthLabel(month) {
-  const [year, mon] = month.split('-').map(Number);
-  if (!year || !mon) return month;
-  const date = new Date(year, mon - 1, 1);
-  return date.toLocaleString('en-US', { month: 'long', year: 'numeric' });
+function conflictNotice(state, conflicts, source) {
+  const theirs = conflicts.filter((conflict) => conflict.discardedTheirs);
+  const mine = conflicts.filter((conflict) => !conflict.discardedTheirs);
+  return [
+    mine.length
+      ? `${mine.length} of your changes conflicted with edits made ${source} and were replaced by theirs` +
+        conflictNames(state, mine)
+      : '',
+    theirs.length
+      ? `${theirs.length} changes made ${source} to a period you closed were discarded` + conflictNames(state, theirs)
+      : ''
+  ]
+    .filter(Boolean)
+    .join(' ');
 }
 
-function buildInitialState(storageKey) {
-  const loaded = safeParse(localStorage.getItem(storageKey));
-  return {
-    selectedMonth: loaded?.selectedMonth || todayMonth(),
-    employees:
-      Array.isArray(loaded?.employees) && loaded.employees.length ? loaded.employees : seededEmployees,
-    records: loaded?.records || {}
-  };
+function closedMergeNotice(periods) {
+  return (
+    `Records for ${periods.map(periodLabel).join(', ')} were not merged because those periods are closed. ` +
+    'Reopen them and merge again to bring those records in.'
+  );
 }
 
-function ensureMonthRecords(state, month) {
+function ensureMonthRecords(state, period) {
+  if (isMonthClosed(state, period)) return state;
+
   const nextRecords = { ...state.records };
-  const monthRecords = { ...(nextRecords[month] || {}) };
+  const monthRecords = { ...(nextRecords[period] || {}) };
 
-  for (const employee of state.employees) {
+  for (const employee of periodEmployees(state, period)) {
     if (!monthRecords[employee.id]) {
       monthRecords[employee.id] = {
+        stage: 'draft',
         paid: false,
         paymentDate: '',
+        adjustments: [],
+        payments: [],
         proofs: []
       };
     }
   }
 
-  nextRecords[month] = monthRecords;
+  nextRecords[period] = monthRecords;
   return { ...state, records: nextRecords };
 }
 
+function resetChangedPay(before, state, actor) {
+  const records = { ...state.records };
+  const entries = [];
+  const settingsChanged = state.settings !== before.settings;
+  const previousEmployees = new Set(before.employees);
+  const changedEmployees = state.employees
+    .filter((employee) => !previousEmployees.has(employee))
+    .map((employee) => employee.id);
+
+  for (const [period, monthRecords] of Object.entries(state.records)) {
+    if (isMonthClosed(state, period)) continue;
+    const previousRecords = before.records[period] || {};
+    const candidates = settingsChanged
+      ? null
+      : new Set([
+          ...changedEmployees,
+          ...(monthRecords === previousRecords
+            ? []
+            : Object.keys(monthRecords).filter((id) => monthRecords[id] !== previousRecords[id]))
+        ]);
+    if (candidates && !candidates.size) continue;
+    for (const employee of monthRoster(state, period, candidates)) {
+      const record = monthRecords[employee.id];
+      if (!payChanged(record, computePay(employee, record, period).net)) continue;
+      const reset = returnToDraft(record);
+      records[period] = { ...records[period], [employee.id]: reset };
+      entries.push({
+        actor,
+        action: 'record.payChanged',
+        month: period,
+        employeeId: employee.id,
+        employeeName: employee.name,
+        ...diffFields(record, reset)
+      });
+    }
+  }
+
+  return entries.length ? appendAudit({ ...state, records }, entries) : state;
+}
+
 export default function App() {
   const [user, setUser] = useState(null);
   const [authLoading, setAuthLoading] = useState(isFirebaseConfigured);
   const [authError, setAuthError] = useState('');
-  const [statusFilter, setStatusFilter] = useState('all');
-  const [adding, setAdding] = useState({ name: '', department: '', salary: '' });
-  const [state, setState] = useState(() => {
-    const initial = buildInitialState(`${STATE_KEY_PREFIX}:guest`);
-    return ensureMonthRecords(initial, initial.selectedMonth);
+  const [tableView, setTableView] = useState(() => defaultTableView(null));
+  const [adding, setAdding] = useState({
+    name: '',
+    department: '',
+    salary: '',
+    currency: DEFAULT_CURRENCY,
+    hireDate: ''
   });
+  const [editingId, setEditingId] = useState(null);
+  const [adjustingId, setAdjustingId] = useState(null);
+  const [payslipId, setPayslipId] = useState(null);
+  const [viewing, setViewing] = useState(null);
+  const [importOpen, setImportOpen] = useState(false);
+  const [bulkUploadPeriod, setBulkUploadPeriod] = useState('');
+  const [proofScans, setProofScans] = useState({});
+  const [backupOpen, setBackupOpen] = useState(false);
+  const [storageOpen, setStorageOpen] = useState(false);
+  const [accessOpen, setAccessOpen] = useState(false);
+  const [ratesOpen, setRatesOpen] = useState(false);
+  const [schedulesOpen, setSchedulesOpen] = useState(false);
+  const [paydayOpen, setPaydayOpen] = useState(false);
+  const [reminders, setReminders] = useState(false);
+  const [bankFileOpen, setBankFileOpen] = useState(false);
+  const [view, setView] = useState('dashboard');
+  const [storage, setStorage] = useState(null);
+  const [storageError, setStorageError] = useState('');
+  const [recovery, setRecovery] = useState(null);
+  const [transferSources, setTransferSources] = useState([]);
+  const [accessDenied, setAccessDenied] = useState(false);
+  const [syncNotice, setSyncNotice] = useState('');
+  const online = useOnline();
+  const [toast, setToast] = useState(null);
+  const [timeline, setTimeline] = useState(() => {
+    const initial = normalizeState(null);
+    return startTimeline(ensureMonthRecords(initial, initial.selectedPeriod));
+  });
+  const state = timeline.present;
+  const latestState = useRef(state);
+  latestState.current = state;
+  const heldProofs = useMemo(() => heldProofIds(timeline), [timeline]);
+  const released = useRef({ storage: null, held: new Set() });
+  const announced = useRef(new WeakSet());
+  const latestChange = undoEntry(timeline);
 
-  const storageKey = `${STATE_KEY_PREFIX}:${user?.uid || 'guest'}`;
+  const actor = user?.email || 'guest';
+  const viewScope = user?.uid || 'guest';
+  const role = resolveRole(state.access, user?.email);
 
   useEffect(() => {
     if (!isFirebaseConfigured) return undefined;
@@ -113,53 +338,322 @@ export default function App() {
   }, []);
 
   useEffect(() => {
-    if (authLoading) return;
-    const initial = buildInitialState(storageKey);
-    setState(ensureMonthRecords(initial, initial.selectedMonth));
-  }, [authLoading, storageKey]);
+    setTableView(loadTableView(viewScope));
+    setReminders(loadReminders(viewScope));
+  }, [viewScope]);
 
   useEffect(() => {
-    if (authLoading) return;
-    localStorage.setItem(storageKey, JSON.stringify(state));
-  }, [authLoading, state, storageKey]);
+    if (tableView.scope) saveTableView(tableView);
+  }, [tableView]);
 
-  const monthRecords = state.records[state.selectedMonth] || {};
+  useEffect(() => {
+    if (authLoading) return undefined;
 
-  const filteredEmployees = useMemo(() => {
-    return state.employees.filter((employee) => {
-      const record = monthRecords[employee.id];
-      if (!record) return true;
-      if (statusFilter === 'paid') return record.paid;
-      if (statusFilter === 'pending') return !record.paid;
-      return true;
+    let cancelled = false;
+    let unsubscribe = () => {};
+    setStorage(null);
+    setStorageError('');
+    setRecovery(null);
+    setAccessDenied(false);
+
+    (async () => {
+      const adapter = await createStorage({ user });
+      let loaded;
+      try {
+        loaded = await adapter.loadState();
+        if (loaded) loaded = migrateState(loaded);
+      } catch (error) {
+        if (!isSchemaError(error)) throw error;
+        if (!cancelled) setRecovery({ error, adapter });
+        return;
+      }
+      if (cancelled) return;
+
+      const initial = normalizeState(loaded, { seed: adapter.name === 'local' });
+      initial.access = withBootstrapAdmin(initial.access, user?.email);
+      setTimeline(startTimeline(ensureMonthRecords(initial, initial.selectedPeriod)));
+      setStorage(adapter);
+      setTransferSources(
+        transferCandidates(listLocalStates(), {
+          user,
+          currentKey: adapter.name === 'local' ? localStateKey(viewScope) : '',
+          handled: handledImports(viewScope)
+        })
+      );
+
+      const source = adapter.name === 'local' ? 'in another tab' : 'by another user';
+      unsubscribe = adapter.subscribe((remote, ancestor) => {
+        let incoming;
+        let previous;
+        try {
+          incoming = normalizeState(migrateState(remote), { seed: false });
+          previous = ancestor ? normalizeState(migrateState(ancestor), { seed: false }) : null;
+        } catch (error) {
+          setSyncNotice(`Ignored a remote update: ${error.message}`);
+          return;
+        }
+        const mergeInto = (current) => {
+          const next = { ...incoming, selectedPeriod: current.selectedPeriod };
+          return previous ? mergeWorkspaceStates(previous, current, next) : { state: next, conflicts: [] };
+        };
+
+        const { conflicts } = mergeInto(latestState.current);
+        if (conflicts.length) setSyncNotice(conflictNotice(latestState.current, conflicts, source));
+        setTimeline((prev) => {
+          const { state: merged } = mergeInto(prev.present);
+          if (sameValue(workspaceData(merged), workspaceData(prev.present))) return prev;
+          return replacePresent(prev, ensureMonthRecords(merged, merged.selectedPeriod));
+        });
+      });
+    })().catch((error) => {
+      if (cancelled) return;
+      if (error?.code === 'permission-denied') setAccessDenied(true);
+      else setStorageError(error.message || 'Could not load payroll data.');
     });
-  }, [state.employees, monthRecords, statusFilter]);
+
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [authLoading, user]);
+
+  useEffect(() => {
+    if (!storage || !role || role === 'viewer') return;
+
+    storage
+      .saveState(state)
+      .then(({ conflicts }) => {
+        if (conflicts.length) {
+          const source = storage.name === 'local' ? 'in another tab' : 'by another user';
+          setSyncNotice(conflictNotice(state, conflicts, source));
+        }
+      })
+      .catch((error) => setSyncNotice(error.message || 'Could not save payroll data.'));
+  }, [storage, state, role, online]);
+
+  useEffect(() => {
+    const previous = released.current;
+    released.current = { storage, held: heldProofs };
+    if (!storage || previous.storage !== storage) return;
+
+    const live = new Set(referencedProofs(state).map((proof) => proof.id));
+    const shared =
+      storage.name === 'local' ? proofsInOtherStates(listLocalStates(), localStateKey(viewScope)) : new Set();
+    const expired = [...previous.held].filter((id) => !heldProofs.has(id) && !live.has(id) && !shared.has(id));
+    Promise.all(expired.map((id) => storage.deleteProof(id))).catch((error) =>
+      setSyncNotice(error.message || 'Could not delete removed proof files.')
+    );
+  }, [storage, heldProofs, state, viewScope]);
+
+  useEffect(() => {
+    const timer = window.setInterval(() => setTimeline((prev) => expireHistory(prev)), 30 * 1000);
+    return () => window.clearInterval(timer);
+  }, []);
+
+  useEffect(() => {
+    if (!latestChange || announced.current.has(latestChange)) return;
+    announced.current.add(latestChange);
+    setToast({ kind: 'done', label: latestChange.label });
+  }, [latestChange]);
+
+  useEffect(() => {
+    function handleKeyDown(event) {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+      if (event.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        handleUndo();
+      } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+        event.preventDefault();
+        handleRedo();
+      }
+    }
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  const monthRecords = state.records[state.selectedPeriod] || {};
+  const period = useMemo(
+    () => describePeriod(state.settings.paySchedules, state.selectedPeriod),
+    [state.settings.paySchedules, state.selectedPeriod]
+  );
+
+  const monthClosed = isMonthClosed(state, state.selectedPeriod);
+  const monthClosure = state.monthClosures[state.selectedPeriod];
+
+  const canEditRecords = !monthClosed && can(role, 'records.edit');
+  const canUploadProofs = !monthClosed && can(role, 'proofs.upload');
+  const canDeleteProofs = !monthClosed && can(role, 'proofs.delete');
+
+  const activeEmployees = useMemo(() => monthRoster(state, state.selectedPeriod), [state]);
+
+  const editingEmployee = state.employees.find((employee) => employee.id === editingId) || null;
+  const adjustingEmployee = activeEmployees.find((employee) => employee.id === adjustingId) || null;
+  const payslipEmployee = activeEmployees.find((employee) => employee.id === payslipId) || null;
+  const viewingEmployee = activeEmployees.find((employee) => employee.id === viewing?.employeeId) || null;
+  const withScan = (proof) =>
+    proof && proofScans[proof.id]
+      ? {
+          ...proof,
+          sha256: proof.sha256 || proofScans[proof.id].sha256,
+          extracted: proof.extracted || proofScans[proof.id].extracted
+        }
+      : proof;
+  const viewingProof = withScan(
+    monthRecords[viewing?.employeeId]?.proofs?.find((proof) => proof.id === viewing?.proofId) || null
+  );
+
+  const payByEmployee = useMemo(
+    () =>
+      new Map(
+        activeEmployees.map((employee) => [
+          employee.id,
+          computePay(employee, monthRecords[employee.id], state.selectedPeriod)
+        ])
+      ),
+    [activeEmployees, monthRecords, state.selectedPeriod]
+  );
+
+  const netById = useMemo(
+    () => new Map([...payByEmployee].map(([employeeId, pay]) => [employeeId, pay.net])),
+    [payByEmployee]
+  );
+
+  const departments = useMemo(
+    () => [...new Set(activeEmployees.map((employee) => employee.department))].sort(),
+    [activeEmployees]
+  );
+
+  const deadline = useMemo(
+    () =>
+      deadlineFor(
+        paydayFor(period, state.settings.payday),
+        new Date().toISOString().slice(0, 10),
+        state.settings.payday.reminderDays
+      ),
+    [period, state.settings.payday]
+  );
+
+  const usedScheduleIds = useMemo(
+    () =>
+      new Set([
+        ...Object.entries(state.records)
+          .filter(([, records]) => Object.keys(records).length)
+          .map(([key]) => periodScheduleId(key)),
+        ...state.employees.map((employee) => employee.payScheduleId).filter(Boolean)
+      ]),
+    [state.records, state.employees]
+  );
+
+  const rates = useMemo(() => monthRates(state, state.selectedPeriod), [state]);
+
+  const proofsByHash = useMemo(() => {
+    const map = new Map();
+    for (const proof of referencedProofs(state)) {
+      if (proof.sha256) map.set(proof.sha256, [...(map.get(proof.sha256) || []), proof]);
+    }
+    return map;
+  }, [state]);
+
+  function warningsFor(employee, proof) {
+    return proofWarnings(
+      withScan(proof),
+      expectedProofValues(employee, monthRecords[employee.id], payByEmployee.get(employee.id), proof.id)
+    );
+  }
 
   const summary = useMemo(() => {
-    const totalEmployees = state.employees.length;
-    const paidCount = state.employees.filter((employee) => monthRecords[employee.id]?.paid).length;
+    const totalEmployees = activeEmployees.length;
+    const netOf = (employee) => payByEmployee.get(employee.id).net;
+    const inBase = (employee, amount) => convert(amount, employee.currency, rates) ?? 0;
+    const sumInBase = (amountOf) =>
+      activeEmployees.reduce((sum, employee) => sum + inBase(employee, amountOf(employee)), 0);
+    const currencies = [...new Set(activeEmployees.map((employee) => employee.currency))];
+    const missingRates = currencies.filter((currency) => !rateFor(rates, currency));
+    const paidCount = activeEmployees.filter((employee) =>
+      isFullyPaid(monthRecords[employee.id], netOf(employee))
+    ).length;
+    const partialCount = activeEmployees.filter(
+      (employee) => paymentStatus(monthRecords[employee.id], netOf(employee)) === 'partial'
+    ).length;
     const pendingCount = totalEmployees - paidCount;
-    const totalPayroll = state.employees.reduce((sum, employee) => sum + Number(employee.salary), 0);
-    const paidPayroll = state.employees
-      .filter((employee) => monthRecords[employee.id]?.paid)
-      .reduce((sum, employee) => sum + Number(employee.salary), 0);
-    const missingProofs = state.employees.filter(
-      (employee) => monthRecords[employee.id]?.paid && !(monthRecords[employee.id]?.proofs?.length)
+    const overdueCount =
+      deadline.state === 'overdue'
+        ? activeEmployees.filter(
+            (employee) => monthRecords[employee.id] && !isFullyPaid(monthRecords[employee.id], netOf(employee))
+          ).length
+        : 0;
+    const totalPayroll = sumInBase((employee) => payByEmployee.get(employee.id).gross);
+    const totalDeductions = sumInBase((employee) => payByEmployee.get(employee.id).totalDeductions);
+    const netPayroll = sumInBase(netOf);
+    const paidPayroll = sumInBase((employee) => paidAmount(monthRecords[employee.id]));
+    const missingProofs = activeEmployees.filter(
+      (employee) => monthRecords[employee.id]?.payments?.length && !(monthRecords[employee.id]?.proofs?.length)
     ).length;
+    const mismatchedProofs = activeEmployees.filter((employee) =>
+      (monthRecords[employee.id]?.proofs || []).some((proof) => warningsFor(employee, proof).length > 0)
+    ).length;
+    const stages = stageCounts(activeEmployees, monthRecords);
 
     return {
+      stages,
       totalEmployees,
       paidCount,
+      partialCount,
       pendingCount,
+      overdueCount,
       totalPayroll,
+      totalDeductions,
+      netPayroll,
       paidPayroll,
-      missingProofs
+      missingProofs,
+      mismatchedProofs,
+      currencies,
+      missingRates
     };
-  }, [state.employees, monthRecords]);
+  }, [activeEmployees, monthRecords, payByEmployee, rates, deadline, proofScans]);
+
+  usePaydayReminders({ scope: viewScope, enabled: reminders, state });
+
+  const monthSummary = useMemo(() => {
+    const rows = monthRows(state, period.month);
+    const periods = new Set(rows.map((row) => row.period)).size;
+    const net = rows.reduce((sum, row) => sum + (row.base === rates.base ? row.converted.net ?? 0 : 0), 0);
+    return (
+      `${monthLabel(period.month)}: ${periods} pay ${periods === 1 ? 'period' : 'periods'}, ` +
+      `${formatCurrency(net, rates.base)} net across all schedules`
+    );
+  }, [state, period.month, rates.base]);
+
+  const tableRows = useMemo(
+    () =>
+      applyTableView(
+        activeEmployees.map((employee) => ({
+          employee,
+          record: monthRecords[employee.id],
+          pay: payByEmployee.get(employee.id),
+          deadline: isFullyPaid(monthRecords[employee.id], payByEmployee.get(employee.id).net) ? null : deadline
+        })),
+        tableView
+      ),
+    [activeEmployees, monthRecords, payByEmployee, tableView, deadline]
+  );
+
+  const tableItems = useMemo(
+    () =>
+      tableView.grouped
+        ? groupRows(tableRows, rates, tableView.collapsed)
+        : tableRows.map((row) => ({ type: 'row', key: row.employee.id, ...row })),
+    [tableRows, rates, tableView.grouped, tableView.collapsed]
+  );
+
+  const virtual = useVirtualRows(tableItems.map((item) => item.key));
 
   const activity = useMemo(() => {
     const uploads = [];
-    for (const employee of state.employees) {
+    for (const employee of activeEmployees) {
       const proofs = monthRecords[employee.id]?.proofs || [];
       for (const proof of proofs) {
         uploads.push({
@@ -172,153 +666,909 @@ export default function App() {
     }
 
     return uploads.sort((a, b) => new Date(b.uploadedAt) - new Date(a.uploadedAt)).slice(0, 20);
-  }, [state.employees, monthRecords]);
+  }, [activeEmployees, monthRecords]);
+
+  function ensurePermitted(permission) {
+    if (can(role, permission)) return true;
+    window.alert(`Your role (${ROLES[role] || 'none'}) does not allow this action.`);
+    return false;
+  }
+
+  function commit(permission, updater) {
+    if (!ensurePermitted(permission)) return;
+    setTimeline((prev) =>
+      can(resolveRole(prev.present.access, actor), permission)
+        ? recordChange(prev, resetChangedPay(prev.present, updater(prev.present), actor), permission)
+        : prev
+    );
+  }
 
-  function updateRecord(employeeId, updateFn) {
-    setState((prev) => {
-      const ensured = ensureMonthRecords(prev, prev.selectedMonth);
-      const monthMap = ensured.records[ensured.selectedMonth];
+  function finishHistory(action) {
+    return (restored, entry) =>
+      appendAudit(ensureMonthRecords(restored, restored.selectedPeriod), { actor, action, note: entry.label });
+  }
+
+  function historyAllowed(entry, target, changed) {
+    if (!ensurePermitted(entry.permission)) return false;
+    const closures = closurePeriods(target, changed);
+    if (closures.length) {
+      window.alert(
+        `Closing or reopening ${closures.map(periodLabel).join(', ')} cannot be undone. ` +
+          'Use Close Period or Reopen Period instead.'
+      );
+      return false;
+    }
+    const locked = lockedPeriods(state, target, changed);
+    if (!locked.length) return true;
+    window.alert(
+      `${locked.map(periodLabel).join(', ')} ${locked.length === 1 ? 'is' : 'are'} closed. ` +
+        'Reopen it before undoing or redoing this change.'
+    );
+    return false;
+  }
+
+  function handleUndo() {
+    const entry = undoEntry(timeline);
+    if (!entry || !historyAllowed(entry, entry.before, entry.after)) return;
+    setTimeline((prev) => (undoEntry(prev) === entry ? undo(prev, finishHistory('history.undo')) : prev));
+    setToast({ kind: 'undo', label: entry.label });
+  }
+
+  function handleRedo() {
+    const entry = redoEntry(timeline);
+    if (!entry || !historyAllowed(entry, entry.after, entry.before)) return;
+    setTimeline((prev) => (redoEntry(prev) === entry ? redo(prev, finishHistory('history.redo')) : prev));
+    setToast({ kind: 'redo', label: entry.label });
+  }
+
+  function ensureMonthOpen() {
+    if (!monthClosed) return true;
+    window.alert(`${periodLabel(state.selectedPeriod)} is closed. Reopen it before making changes.`);
+    return false;
+  }
+
+  function updateRecord(employeeId, action, updateFn, note = '', periodKey = '') {
+    if (!periodKey && !ensureMonthOpen()) return;
+
+    commit(RECORD_PERMISSIONS[action] || 'records.edit', (prev) => {
+      const key = periodKey || prev.selectedPeriod;
+      if (isMonthClosed(prev, key)) return prev;
+      const ensured = ensureMonthRecords(prev, key);
+      const monthMap = ensured.records[key];
+      if (periodKey && !monthMap[employeeId]) return prev;
       const updated = updateFn(monthMap[employeeId]);
+      const changes = diffFields(monthMap[employeeId], updated);
 
-      return {
+      const next = {
         ...ensured,
         records: {
           ...ensured.records,
-          [ensured.selectedMonth]: {
+          [key]: {
             ...monthMap,
             [employeeId]: updated
           }
         }
       };
+
+      if (!Object.keys(changes.after).length) return next;
+      return appendAudit(next, {
+        actor,
+        action,
+        month: key,
+        employeeId,
+        employeeName: employeeName(ensured, employeeId),
+        ...changes,
+        ...(note ? { note } : {})
+      });
     });
   }
 
   function handleAddEmployee(event) {
     event.preventDefault();
+    if (!ensurePermitted('employees.edit')) return;
     const name = adding.name.trim();
     const department = adding.department.trim();
     const salary = Number(adding.salary);
+    const hireDate = adding.hireDate || period.start;
 
-    if (!name || !department || !Number.isFinite(salary) || salary < 0) {
-      window.alert('Please provide valid employee details.');
+    const error = validateEmployeeInput({ name, department, salary });
+    if (error) {
+      window.alert(error);
       return;
     }
 
-    setState((prev) => {
+    const employee = normalizeEmployee({
+      id: crypto.randomUUID(),
+      name,
+      department,
+      hireDate,
+      currency: adding.currency,
+      salaryHistory: [{ effectiveFrom: monthOf(hireDate), salary }]
+    });
+
+    commit('employees.edit', (prev) => {
       const next = {
         ...prev,
-        employees: [...prev.employees, { id: crypto.randomUUID(), name, department, salary }]
+        employees: [...prev.employees, employee]
       };
-      return ensureMonthRecords(next, next.selectedMonth);
+      return appendAudit(ensureMonthRecords(next, next.selectedPeriod), {
+        actor,
+        action: 'employee.add',
+        employeeId: employee.id,
+        employeeName: employee.name,
+        after: { name, department, hireDate, salary, currency: adding.currency }
+      });
+    });
+
+    setAdding((prev) => ({ name: '', department: '', salary: '', currency: prev.currency, hireDate: '' }));
+  }
+
+  function saveEmployee(updated) {
+    commit('employees.edit', (prev) => {
+      const previous = prev.employees.find((employee) => employee.id === updated.id);
+      const next = {
+        ...prev,
+        employees: prev.employees.map((employee) => (employee.id === updated.id ? updated : employee))
+      };
+      const changes = diffFields(previous, updated);
+      const ensured = ensureMonthRecords(next, next.selectedPeriod);
+
+      if (!Object.keys(changes.after).length) return ensured;
+      return appendAudit(ensured, {
+        actor,
+        action: 'employee.update',
+        employeeId: updated.id,
+        employeeName: updated.name,
+        ...changes
+      });
+    });
+    setEditingId(null);
+  }
+
+  function applyImport(items, fileName) {
+    const employeeIds = new Map(items.map((item) => [item.row, item.employeeId || crypto.randomUUID()]));
+    const paymentIds = new Map(items.map((item) => [item.row, crypto.randomUUID()]));
+
+    commit('import', (prev) => {
+      const key = prev.selectedPeriod;
+      const month = periodMonth(key);
+      const hireDate = describePeriod(prev.settings.paySchedules, key).start;
+      const note = `Imported from ${fileName}`;
+      const entries = [];
+      let employees = [...prev.employees];
+
+      for (const item of items) {
+        if (item.kind === 'new') {
+          const employee = normalizeEmployee({
+            id: employeeIds.get(item.row),
+            name: item.name,
+            department: item.department,
+            currency: item.currency,
+            hireDate,
+            salaryHistory: [{ effectiveFrom: monthOf(hireDate), salary: item.salary }]
+          });
+          employees.push(employee);
+          entries.push({
+            actor,
+            action: 'employee.add',
+            employeeId: employee.id,
+            employeeName: employee.name,
+            after: {
+              name: item.name,
+              department: item.department,
+              hireDate,
+              salary: item.salary,
+              currency: employee.currency
+            },
+            note
+          });
+          continue;
+        }
+
+        employees = employees.map((employee) => {
+          if (employee.id !== item.employeeId) return employee;
+          const currency = item.currency || currencyForMonth(employee, month);
+          let updated = { ...employee, department: item.department };
+          if (salaryForMonth(employee, month) !== item.salary || currencyForMonth(employee, month) !== currency) {
+            updated = withSalaryChange(updated, month, item.salary, currency);
+          }
+          const changes = diffFields(employee, updated);
+          if (Object.keys(changes.after).length) {
+            entries.push({
+              actor,
+              action: 'employee.update',
+              employeeId: employee.id,
+              employeeName: employee.name,
+              ...changes,
+              note
+            });
+          }
+          return updated;
+        });
+      }
+
+      const ensured = ensureMonthRecords({ ...prev, employees }, key);
+      if (isMonthClosed(ensured, key)) return appendAudit(ensured, entries);
+
+      const roster = monthRoster(ensured, key);
+      const monthMap = { ...ensured.records[key] };
+      const today = new Date().toISOString().slice(0, 10);
+      for (const item of items) {
+        const employeeId = employeeIds.get(item.row);
+        const current = monthMap[employeeId];
+        if (!current || item.paid !== true) continue;
+
+        const employee = roster.find((candidate) => candidate.id === employeeId);
+        const { net } = computePay(employee, current, key);
+        const updated = payBalance(current, net, {
+          id: paymentIds.get(item.row),
+          date: item.paymentDate || today
+        });
+        const changes = diffFields(current, updated);
+        if (!Object.keys(changes.after).length) continue;
+
+        monthMap[employeeId] = updated;
+        entries.push({
+          actor,
+          action: 'record.payment',
+          month: key,
+          employeeId,
+          employeeName: item.name,
+          ...changes,
+          note
+        });
+      }
+
+      return appendAudit({ ...ensured, records: { ...ensured.records, [key]: monthMap } }, entries);
+    });
+    setImportOpen(false);
+  }
+
+  async function restoreBackup(backup, mode) {
+    if (!ensurePermitted('backup.restore')) return;
+    const incoming = normalizeState(backup.state, { seed: false });
+
+    for (const [proofId, blob] of backup.blobs) {
+      await storage.putProof(proofId, blob, await sha256Hex(blob));
+    }
+
+    const skipped = mode === 'replace' ? [] : closedMergePeriods(state, incoming);
+    commit('backup.restore', (prev) => {
+      const next = mode === 'replace' ? replaceState(prev, incoming) : mergeStates(prev, incoming);
+      return appendAudit(ensureMonthRecords(next, next.selectedPeriod), {
+        actor,
+        action: 'data.restore',
+        note: `${mode === 'replace' ? 'Replaced' : 'Merged'} from ${backup.fileName}`
+      });
+    });
+    if (skipped.length) window.alert(closedMergeNotice(skipped));
+  }
+
+  async function importLocalState(source) {
+    if (!ensurePermitted('backup.restore')) return;
+    const incoming = normalizeState(migrateState(source.raw), { seed: false });
+
+    if (storage.name !== 'local') {
+      const missing = await copyLocalProofs(referencedProofs(incoming), storage);
+      if (missing.length) {
+        setSyncNotice(`${missing.length} proof files were not found in this browser and could not be copied.`);
+      }
+    }
+
+    const skipped = closedMergePeriods(state, incoming);
+    commit('backup.restore', (prev) => {
+      const next = mergeStates(prev, incoming);
+      return appendAudit(ensureMonthRecords(next, next.selectedPeriod), {
+        actor,
+        action: 'data.import',
+        note: `Merged ${source.label.toLowerCase()}`
+      });
+    });
+    if (skipped.length) window.alert(closedMergeNotice(skipped));
+    else dismissTransfer(source);
+  }
+
+  function dismissTransfer(source) {
+    markImportHandled(viewScope, source.key);
+    setTransferSources((prev) => prev.filter((item) => item.key !== source.key));
+  }
+
+  function saveAccess(access) {
+    commit('access.manage', (prev) =>
+      appendAudit(
+        { ...prev, access },
+        { actor, action: 'access.update', ...diffFields(flattenAccess(prev.access), flattenAccess(access)) }
+      )
+    );
+    setAccessOpen(false);
+  }
+
+  function saveRates({ baseCurrency, rates: entered }) {
+    commit('rates.edit', (prev) => {
+      const month = periodMonth(prev.selectedPeriod);
+      let next = prev;
+      const entries = [];
+
+      if (baseCurrency !== prev.settings.baseCurrency && can(resolveRole(prev.access, actor), 'settings.edit')) {
+        next = { ...next, settings: { ...next.settings, baseCurrency } };
+        entries.push({
+          actor,
+          action: 'settings.update',
+          ...diffFields({ baseCurrency: prev.settings.baseCurrency }, { baseCurrency })
+        });
+      }
+
+      if (!isMonthClosed(next, prev.selectedPeriod) && !isMonthClosed(next, month)) {
+        const before = monthRates(next, month);
+        const after = { base: next.settings.baseCurrency, rates: entered };
+        next = { ...next, exchangeRates: { ...next.exchangeRates, [month]: after } };
+        const changes = diffFields(before.rates, after.rates);
+        if (Object.keys(changes.after).length) {
+          entries.push({ actor, action: 'month.rates', month, ...changes, note: `Quoted in ${after.base}` });
+        }
+      }
+
+      return appendAudit(next, entries);
     });
+    setRatesOpen(false);
+  }
 
-    setAdding({ name: '', department: '', salary: '' });
+  function saveSchedules(paySchedules, departmentSchedules) {
+    commit('settings.edit', (prev) => {
+      const next = { ...prev, settings: { ...prev.settings, paySchedules, departmentSchedules } };
+      return appendAudit(ensureMonthRecords(next, next.selectedPeriod), {
+        actor,
+        action: 'settings.update',
+        ...diffFields(
+          { paySchedules: prev.settings.paySchedules, departmentSchedules: prev.settings.departmentSchedules },
+          { paySchedules, departmentSchedules }
+        )
+      });
+    });
+    setSchedulesOpen(false);
   }
 
-  function handleMonthChange(value) {
-    const nextMonth = value || todayMonth();
-    setState((prev) => ensureMonthRecords({ ...prev, selectedMonth: nextMonth }, nextMonth));
+  function savePayday(payday) {
+    commit('settings.edit', (prev) =>
+      appendAudit(
+        { ...prev, settings: { ...prev.settings, payday } },
+        { actor, action: 'settings.update', ...diffFields({ payday: prev.settings.payday }, { payday }) }
+      )
+    );
+    setPaydayOpen(false);
+  }
+
+  async function toggleReminders(enabled) {
+    if (enabled && Notification.permission !== 'granted') {
+      const permission = await Notification.requestPermission();
+      if (permission !== 'granted') {
+        window.alert('Notifications are blocked for this site. Allow them in the browser settings to get reminders.');
+        return;
+      }
+    }
+    saveReminders(viewScope, enabled);
+    setReminders(enabled);
+  }
+
+  function updateTableView(changes) {
+    setTableView((prev) => ({ ...prev, ...changes }));
+  }
+
+  function toggleGroup(department) {
+    setTableView((prev) => ({
+      ...prev,
+      collapsed: prev.collapsed.includes(department)
+        ? prev.collapsed.filter((item) => item !== department)
+        : [...prev.collapsed, department]
+    }));
+  }
+
+  function sortIndicator(key) {
+    const index = tableView.sort.findIndex((entry) => entry.key === key);
+    if (index < 0) return null;
+    const arrow = tableView.sort[index].dir === 'asc' ? ' ▲' : ' ▼';
+    return tableView.sort.length > 1 ? `${arrow}${index + 1}` : arrow;
+  }
+
+  function handlePeriodChange(value) {
+    const next = isPeriodKey(value) ? value : todayMonth();
+    setTimeline((prev) => replacePresent(prev, ensureMonthRecords({ ...prev.present, selectedPeriod: next }, next)));
+  }
+
+  function bulkTransition(permission, action, transform) {
+    if (!ensureMonthOpen()) return;
+
+    commit(permission, (prev) => {
+      if (isMonthClosed(prev, prev.selectedPeriod)) return prev;
+      const ensured = ensureMonthRecords(prev, prev.selectedPeriod);
+      const monthMap = ensured.records[ensured.selectedPeriod];
+      const nextMonthMap = { ...monthMap };
+      const entries = [];
+
+      for (const employee of monthRoster(ensured, ensured.selectedPeriod)) {
+        const current = monthMap[employee.id];
+        nextMonthMap[employee.id] = transform(current, employee, ensured.selectedPeriod);
+
+        const changes = diffFields(current, nextMonthMap[employee.id]);
+        if (Object.keys(changes.after).length) {
+          entries.push({
+            actor,
+            action,
+            month: ensured.selectedPeriod,
+            employeeId: employee.id,
+            employeeName: employee.name,
+            ...changes
+          });
+        }
+      }
+
+      return appendAudit(
+        {
+          ...ensured,
+          records: {
+            ...ensured.records,
+            [ensured.selectedPeriod]: nextMonthMap
+          }
+        },
+        entries
+      );
+    });
   }
 
   function markAllPaid() {
     const today = new Date().toISOString().slice(0, 10);
-    setState((prev) => {
-      const ensured = ensureMonthRecords(prev, prev.selectedMonth);
-      const monthMap = ensured.records[ensured.selectedMonth];
-      const nextMonthMap = {};
+    const waiting = summary.totalEmployees - summary.stages.approved - summary.stages.paid;
+    if (waiting && !window.confirm(`${waiting} employees are not approved yet and will stay unpaid. Continue?`)) {
+      return;
+    }
+    bulkTransition('records.markAllPaid', 'month.markAllPaid', (record, employee) =>
+      payBalance(record, computePay(employee, record, state.selectedPeriod).net, {
+        id: crypto.randomUUID(),
+        date: today
+      })
+    );
+  }
+
+  function generateBankFile({ format, valueDate, employeeIds }) {
+    if (!ensureMonthOpen() || !ensurePermitted('payments.export')) return;
+    const month = state.selectedPeriod;
+    const { originator } = state.settings;
+    const issues = originatorIssues(originator, format);
+    if (issues.length) {
+      window.alert(issues.join('\n'));
+      return;
+    }
+
+    const entries = bankFileCandidates(activeEmployees, monthRecords, netById, format).filter(
+      (item) => !item.issue && employeeIds.includes(item.employee.id)
+    );
+    if (!entries.length) {
+      window.alert('No employees are ready for a bank payment file.');
+      return;
+    }
+
+    const sequence = bankBatches(monthRecords, state.employees).length + 1;
+    const createdAt = new Date().toISOString();
+    const batchId = crypto.randomUUID();
+    const fileName = `payroll-${periodSlug(month)}-${format}-${sequence}.${BANK_FORMATS[format].extension}`;
+    const content =
+      format === 'nacha'
+        ? buildNacha(originator, entries, { valueDate, createdAt, batchNumber: sequence })
+        : buildSepa(originator, entries, {
+            valueDate,
+            createdAt,
+            messageId: `PAYROLL-${periodSlug(month)}-${sequence}`,
+            month: periodSlug(month)
+          });
+    downloadFile(content, fileName, BANK_FORMATS[format].type);
+
+    const amounts = new Map(entries.map((item) => [item.employee.id, item.amount]));
+    bulkTransition('payments.export', 'month.bankFile', (record, employee) =>
+      amounts.has(employee.id)
+        ? addPayment(
+            record,
+            {
+              id: crypto.randomUUID(),
+              amount: amounts.get(employee.id),
+              date: valueDate,
+              method: PAYMENT_METHODS[0],
+              proofId: '',
+              batchId,
+              batchFile: fileName
+            },
+            computePay(employee, record, month).net
+          )
+        : record
+    );
+    setBankFileOpen(false);
+  }
+
+  function saveOriginator(originator) {
+    commit('settings.edit', (prev) =>
+      appendAudit(
+        { ...prev, settings: { ...prev.settings, originator } },
+        {
+          actor,
+          action: 'settings.update',
+          ...diffFields({ originator: prev.settings.originator }, { originator })
+        }
+      )
+    );
+  }
 
-      for (const employee of ensured.employees) {
+  function issuePayslips(employeeIds, issuedAt) {
+    commit('payslips.issue', (prev) => {
+      const ensured = ensureMonthRecords(prev, prev.selectedPeriod);
+      const month = ensured.selectedPeriod;
+      const monthMap = ensured.records[month] || {};
+      const nextMonthMap = { ...monthMap };
+      const entries = [];
+
+      for (const employee of monthRoster(ensured, month)) {
         const current = monthMap[employee.id];
-        nextMonthMap[employee.id] = {
-          ...current,
-          paid: true,
-          paymentDate: current.paymentDate || today
+        if (!current || !employeeIds.includes(employee.id)) continue;
+        if ((current.payslips || []).some((slip) => slip.issuedAt === issuedAt)) continue;
+        const slip = {
+          id: crypto.randomUUID(),
+          number: payslipNumber(month, employee.id),
+          issuedAt,
+          issuedBy: actor,
+          net: computePay(employee, current, month).net,
+          currency: employee.currency
         };
+        nextMonthMap[employee.id] = { ...current, payslips: [...(current.payslips || []), slip] };
+        entries.push({
+          actor,
+          action: 'record.payslip',
+          month,
+          employeeId: employee.id,
+          employeeName: employee.name,
+          ...diffFields(current, nextMonthMap[employee.id])
+        });
       }
 
-      return {
-        ...ensured,
-        records: {
-          ...ensured.records,
-          [ensured.selectedMonth]: nextMonthMap
-        }
-      };
+      return appendAudit({ ...ensured, records: { ...ensured.records, [month]: nextMonthMap } }, entries);
     });
   }
 
-  function exportCsv() {
-    const rows = [
-      ['Employee', 'Department', 'Salary', 'Status', 'Payment Date', 'Proof Count'],
-      ...state.employees.map((employee) => {
-        const record = monthRecords[employee.id] || { paid: false, paymentDate: '', proofs: [] };
-        return [
-          employee.name,
-          employee.department,
-          employee.salary,
-          record.paid ? 'Paid' : 'Pending',
-          record.paymentDate,
-          (record.proofs || []).length
-        ];
+  async function downloadAllPayslips() {
+    if (!ensurePermitted('payslips.issue')) return;
+    const month = state.selectedPeriod;
+    const issuedAt = new Date().toISOString();
+    const slips = activeEmployees
+      .filter((employee) => monthRecords[employee.id])
+      .map((employee) => payslipData(employee, monthRecords[employee.id], month, issuedAt));
+    if (!slips.length) {
+      window.alert(`There are no payslips to issue for ${periodLabel(month)}.`);
+      return;
+    }
+
+    downloadFile(
+      await payslipArchive(slips, state.settings.branding),
+      `payslips-${periodSlug(month)}.zip`,
+      'application/zip'
+    );
+    issuePayslips(slips.map((slip) => slip.employee.id), issuedAt);
+  }
+
+  function saveBranding(branding) {
+    commit('settings.edit', (prev) =>
+      appendAudit(
+        { ...prev, settings: { ...prev.settings, branding } },
+        {
+          actor,
+          action: 'settings.update',
+          ...diffFields({ branding: prev.settings.branding }, { branding })
+        }
+      )
+    );
+  }
+
+  function recordPayment(employee, payment) {
+    updateRecord(employee.id, 'record.payment', (current) =>
+      addPayment(current, payment, computePay(employee, current, state.selectedPeriod).net)
+    );
+  }
+
+  function payEmployeeBalance(employee) {
+    const today = new Date().toISOString().slice(0, 10);
+    const paymentId = crypto.randomUUID();
+    updateRecord(employee.id, 'record.payment', (current) =>
+      payBalance(current, computePay(employee, current, state.selectedPeriod).net, { id: paymentId, date: today })
+    );
+  }
+
+  function deletePayment(employee, paymentId) {
+    if (!window.confirm('Remove this payment from the record?')) return;
+    updateRecord(employee.id, 'record.paymentRemove', (current) =>
+      removePayment(current, paymentId, computePay(employee, current, state.selectedPeriod).net)
+    );
+  }
+
+  function saveAdjustments(employeeId, adjustments) {
+    updateRecord(employeeId, 'record.adjustments', (current) =>
+      recordStage(current) === 'draft' ? { ...current, adjustments } : current
+    );
+    setAdjustingId(null);
+  }
+
+  function submitAll() {
+    const at = new Date().toISOString();
+    bulkTransition('records.submit', 'month.submitAll', (record, employee, period) =>
+      submitRecord(record, actor, at, computePay(employee, record, period).net)
+    );
+  }
+
+  function approveAll() {
+    const at = new Date().toISOString();
+    const ownSubmissions = activeEmployees.filter((employee) => {
+      const record = monthRecords[employee.id];
+      return recordStage(record) === 'submitted' && record.submittedBy === actor;
+    }).length;
+    if (
+      ownSubmissions &&
+      !window.confirm(`${ownSubmissions} records were submitted by you and need another approver. Approve the rest?`)
+    ) {
+      return;
+    }
+    bulkTransition('records.approve', 'month.approveAll', (record) => approveRecord(record, actor, at));
+  }
+
+  function approveOne(employeeId) {
+    if (monthRecords[employeeId]?.submittedBy === actor) {
+      window.alert('You submitted this record, so a different user must approve it.');
+      return;
+    }
+    const at = new Date().toISOString();
+    updateRecord(employeeId, 'record.approve', (current) => approveRecord(current, actor, at));
+  }
+
+  function rejectOne(employeeId) {
+    const reason = window.prompt('Why is this record being sent back to draft?');
+    if (reason === null) return;
+    updateRecord(employeeId, 'record.reject', (current) => rejectRecord(current), reason.trim());
+  }
+
+  function handleCloseMonth() {
+    if (!ensurePermitted('month.close')) return;
+    const confirmed = window.confirm(
+      `Close ${periodLabel(state.selectedPeriod)}? Payroll data for this period will be frozen until it is reopened.`
+    );
+    if (!confirmed) return;
+
+    commit('month.close', (prev) =>
+      appendAudit(closeMonth(ensureMonthRecords(prev, prev.selectedPeriod), prev.selectedPeriod, actor), {
+        actor,
+        action: 'month.close',
+        month: prev.selectedPeriod
       })
-    ];
+    );
+  }
 
-    const csv = rows
-      .map((row) => row.map((cell) => `"${String(cell).replaceAll('"', '""')}"`).join(','))
-      .join('\n');
+  function handleReopenMonth() {
+    if (!ensurePermitted('month.reopen')) return;
+    const reason = window.prompt(`Why does ${periodLabel(state.selectedPeriod)} need to be reopened?`);
+    if (reason === null) return;
+    if (!reason.trim()) {
+      window.alert('A reason is required to reopen a closed period.');
+      return;
+    }
+
+    commit('month.reopen', (prev) =>
+      appendAudit(
+        ensureMonthRecords(reopenMonth(prev, prev.selectedPeriod, actor, reason.trim()), prev.selectedPeriod),
+        { actor, action: 'month.reopen', month: prev.selectedPeriod, note: reason.trim() }
+      )
+    );
+  }
 
-    const blob = new Blob([csv], { type: 'text/csv' });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = `payroll-${state.selectedMonth}.csv`;
-    document.body.appendChild(link);
-    link.click();
-    link.remove();
-    URL.revokeObjectURL(url);
+  function exportCsv() {
+    downloadCsv(
+      [
+        [
+          'Employee',
+          'Department',
+          'Currency',
+          'Salary',
+          'Period Salary',
+          'Gross Pay',
+          'Deductions',
+          'Net Pay',
+          'Status',
+          'Amount Paid',
+          'Outstanding',
+          'Payment Date',
+          'Payments',
+          'Proof Count',
+          'Exchange Rate',
+          `Net Pay (${rates.base})`
+        ],
+        ...activeEmployees.map((employee) => {
+          const record = monthRecords[employee.id] || { paid: false, paymentDate: '', payments: [], proofs: [] };
+          const pay = payByEmployee.get(employee.id);
+          return [
+            employee.name,
+            employee.department,
+            employee.currency,
+            employee.salaryHistory?.length
+              ? salaryForMonth(employee, period.month)
+              : Math.round((employee.salary / period.factor) * 100) / 100,
+            employee.salary,
+            pay.gross,
+            pay.totalDeductions,
+            pay.net,
+            PAYMENT_STATUSES[paymentStatus(record, pay.net)],
+            paidAmount(record),
+            outstandingAmount(record, pay.net),
+            record.paymentDate,
+            describePayments(record),
+            (record.proofs || []).length,
+            rateFor(rates, employee.currency) ?? '',
+            convert(pay.net, employee.currency, rates) ?? ''
+          ];
+        })
+      ],
+      `payroll-${periodSlug(state.selectedPeriod)}.csv`
+    );
+  }
+
+  function describeProofOwner(proof) {
+    return `${employeeName(state, proof.employeeId) || 'Unknown'} (${periodLabel(proof.month)})`;
+  }
+
+  function proofEntry(proofId, file, sha256, extracted) {
+    return {
+      id: proofId,
+      fileName: file.name,
+      fileSize: file.size,
+      type: proofType(file),
+      uploadedAt: new Date().toISOString(),
+      sha256,
+      ...(extracted ? { extracted } : {})
+    };
+  }
+
+  function duplicateNote(duplicates) {
+    return duplicates.length ? `Duplicate of ${duplicates.map(describeProofOwner).join(', ')}` : '';
   }
 
   async function uploadProof(employeeId, file) {
     if (!file) return;
-    if (file.type !== 'application/pdf' && !file.name.toLowerCase().endsWith('.pdf')) {
-      window.alert('Only PDF files are allowed as proof of payment.');
+    if (!ensureMonthOpen() || !ensurePermitted('proofs.upload')) return;
+    if (!isProofFile(file)) {
+      window.alert('Only PDF, JPG and PNG files are allowed as proof of payment.');
       return;
     }
 
-    const proofId = crypto.randomUUID();
-    await putProofBlob(proofId, file);
+    const periodKey = state.selectedPeriod;
+    const employee = activeEmployees.find((item) => item.id === employeeId);
+    try {
+      const sha256 = await sha256Hex(file);
+      const duplicates = findDuplicateProofs(state, sha256);
+      if (
+        duplicates.length &&
+        !window.confirm(
+          `This file is already attached to ${duplicates.map(describeProofOwner).join(', ')}. Attach it anyway?`
+        )
+      ) {
+        return;
+      }
 
-    updateRecord(employeeId, (current) => ({
-      ...current,
-      proofs: [
-        ...(current.proofs || []),
-        {
-          id: proofId,
-          fileName: file.name,
-          fileSize: file.size,
-          uploadedAt: new Date().toISOString()
-        }
-      ]
-    }));
+      const extracted = isPdfProof(file)
+        ? await extractPdfText(file)
+            .then((text) => extractProofFields(text, employee?.name || ''))
+            .catch(() => null)
+        : null;
+      const proofId = crypto.randomUUID();
+      await storage.putProof(proofId, file, sha256);
+
+      updateRecord(
+        employeeId,
+        'proof.upload',
+        (current) => ({
+          ...current,
+          proofs: [...(current.proofs || []), proofEntry(proofId, file, sha256, extracted)]
+        }),
+        duplicateNote(duplicates),
+        periodKey
+      );
+    } catch (error) {
+      window.alert(error.message || 'Could not upload the proof file.');
+    }
   }
 
-  async function viewProof(proofId) {
-    const blob = await getProofBlob(proofId);
-    if (!blob) {
-      window.alert('Proof file not found in local storage.');
-      return;
+  async function uploadProofBatch(rows) {
+    if (!ensureMonthOpen() || !ensurePermitted('proofs.upload')) return;
+
+    const period = bulkUploadPeriod;
+    const uploads = [];
+    for (const row of rows) {
+      const employee = activeEmployees.find((item) => item.id === row.employeeId);
+      if (!employee) continue;
+      const extracted = row.text === null ? null : extractProofFields(row.text, employee.name);
+      const proofId = crypto.randomUUID();
+      await storage.putProof(proofId, row.file, row.sha256);
+      uploads.push({
+        employeeId: employee.id,
+        proof: proofEntry(proofId, row.file, row.sha256, extracted),
+        note: duplicateNote(row.duplicates)
+      });
     }
 
-    const url = URL.createObjectURL(blob);
-    window.open(url, '_blank', 'noopener');
-    setTimeout(() => URL.revokeObjectURL(url), 12000);
+    commit('proofs.upload', (prev) => {
+      if (isMonthClosed(prev, period)) return prev;
+      const ensured = ensureMonthRecords(prev, period);
+      const monthMap = { ...ensured.records[period] };
+      const entries = [];
+
+      for (const { employeeId, proof, note } of uploads) {
+        const current = monthMap[employeeId];
+        if (!current) continue;
+        const updated = { ...current, proofs: [...(current.proofs || []), proof] };
+        monthMap[employeeId] = updated;
+        entries.push({
+          actor,
+          action: 'proof.upload',
+          month: period,
+          employeeId,
+          employeeName: employeeName(ensured, employeeId),
+          ...diffFields(current, updated),
+          ...(note ? { note } : {})
+        });
+      }
+
+      return appendAudit({ ...ensured, records: { ...ensured.records, [period]: monthMap } }, entries);
+    });
+    setBulkUploadPeriod('');
+  }
+
+  function viewProof(employeeId, proofId) {
+    setViewing({ employeeId, proofId });
   }
 
-  async function removeProof(employeeId, proofId) {
-    updateRecord(employeeId, (current) => ({
-      ...current,
+  function saveProofScan(proofId, scan) {
+    setProofScans((prev) => ({ ...prev, [proofId]: scan }));
+  }
+
+  function removeProof(employeeId, proofId) {
+    if (!ensureMonthOpen() || !ensurePermitted('proofs.delete')) return;
+
+    updateRecord(employeeId, 'proof.delete', (current) => ({
+      ...unlinkProof(current, proofId),
       proofs: (current.proofs || []).filter((proof) => proof.id !== proofId)
     }));
-    await deleteProofBlob(proofId);
+  }
+
+  function removeMissingProofs(proofs) {
+    const open = proofs.filter((proof) => !isMonthClosed(state, proof.month));
+
+    commit('proofs.delete', (prev) => {
+      let records = prev.records;
+      const entries = [];
+
+      for (const proof of open) {
+        const record = records[proof.month]?.[proof.employeeId];
+        if (isMonthClosed(prev, proof.month) || !record) continue;
+        const updated = {
+          ...unlinkProof(record, proof.id),
+          proofs: (record.proofs || []).filter((item) => item.id !== proof.id)
+        };
+        records = { ...records, [proof.month]: { ...records[proof.month], [proof.employeeId]: updated } };
+        entries.push({
+          actor,
+          action: 'proof.delete',
+          month: proof.month,
+          employeeId: proof.employeeId,
+          employeeName: proof.employeeName,
+          ...diffFields(record, updated),
+          note: 'File missing from storage'
+        });
+      }
+
+      return appendAudit({ ...prev, records }, entries);
+    });
+
+    return proofs.length - open.length;
   }
 
   async function handleGoogleSignIn() {
@@ -393,6 +1643,56 @@ export default function App() {
     );
   }
 
+  if (accessDenied || (storage && !role)) {
+    return (
+      <div className="app-shell">
+        <main className="layout">
+          <section className="panel hero">
+            <p className="kicker">Access Denied</p>
+            <h1>Payroll Control Center</h1>
+            <p>
+              {user.email} is not on this workspace&apos;s access list. Ask a payroll admin to add your account or
+              domain, then sign in again.
+            </p>
+            <button className="btn btn-soft" onClick={handleSignOut}>
+              Sign out
+            </button>
+          </section>
+        </main>
+      </div>
+    );
+  }
+
+  if (recovery) {
+    return (
+      <div className="app-shell">
+        <main className="layout">
+          <RecoveryPanel
+            error={recovery.error}
+            canDiscard={Boolean(recovery.adapter.discardState)}
+            onDiscard={async () => {
+              await recovery.adapter.discardState();
+              window.location.reload();
+            }}
+          />
+        </main>
+      </div>
+    );
+  }
+
+  if (!storage) {
+    return (
+      <div className="app-shell">
+        <main className="layout">
+          <section className="panel hero">
+            <h1>{storageError ? 'Payroll data unavailable' : 'Loading payroll data...'}</h1>
+            {storageError ? <p className="muted error-text">{storageError}</p> : null}
+          </section>
+        </main>
+      </div>
+    );
+  }
+
   return (
     <div className="app-shell">
       <div className="ambient ambient-a" />
@@ -411,239 +1711,818 @@ export default function App() {
               </p>
             </div>
             <div className="user-box">
-              <div className="hero-chip">{user.email}</div>
+              <div className="hero-chip">
+                {user.email} · {ROLES[role]}
+              </div>
+              <button
+                className="btn btn-soft"
+                disabled={!undoEntry(timeline)}
+                title={undoEntry(timeline) ? `Undo ${undoEntry(timeline).label} (Ctrl+Z)` : 'Nothing to undo'}
+                onClick={handleUndo}
+              >
+                Undo
+              </button>
+              <button
+                className="btn btn-soft"
+                disabled={!redoEntry(timeline)}
+                title={redoEntry(timeline) ? `Redo ${redoEntry(timeline).label} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+                onClick={handleRedo}
+              >
+                Redo
+              </button>
+              {can(role, 'access.manage') ? (
+                <button className="btn btn-soft" onClick={() => setAccessOpen(true)}>
+                  Access Control
+                </button>
+              ) : null}
+              {can(role, 'backup.export') ? (
+                <button className="btn btn-soft" onClick={() => setBackupOpen(true)}>
+                  Backup &amp; Restore
+                </button>
+              ) : null}
+              {can(role, 'backup.export') ? (
+                <button className="btn btn-soft" onClick={() => setStorageOpen(true)}>
+                  Proof Storage
+                </button>
+              ) : null}
+              <button
+                className="btn btn-soft"
+                onClick={() => setView((prev) => (prev === 'reports' ? 'dashboard' : 'reports'))}
+              >
+                {view === 'reports' ? 'Dashboard' : 'Reports'}
+              </button>
               <button className="btn btn-soft" onClick={handleSignOut}>
                 Sign out
               </button>
             </div>
           </div>
-          <div className="hero-chip">Month: {monthLabel(state.selectedMonth)}</div>
+          <div className="hero-chip">
+            Period: {periodLabel(state.selectedPeriod)}
+            {monthClosed ? ' (Closed)' : ''}
+          </div>
           {authError ? <p className="muted error-text">{authError}</p> : null}
+          {syncNotice ? (
+            <p className="muted error-text">
+              {syncNotice}{' '}
+              <button type="button" className="btn-chip" onClick={() => setSyncNotice('')}>
+                Dismiss
+              </button>
+            </p>
+          ) : null}
         </header>
 
-        <section className="metrics-grid">
-          <article className="metric panel">
-            <p>Team Size</p>
-            <h3>{summary.totalEmployees}</h3>
-          </article>
-          <article className="metric panel">
-            <p>Paid This Month</p>
-            <h3>
-              {summary.paidCount} / {summary.totalEmployees}
-            </h3>
-          </article>
-          <article className="metric panel">
-            <p>Total Payroll</p>
-            <h3>{formatCurrency(summary.totalPayroll)}</h3>
-          </article>
-          <article className="metric panel">
-            <p>Paid So Far</p>
-            <h3>{formatCurrency(summary.paidPayroll)}</h3>
-          </article>
-          <article className="metric panel">
-            <p>Pending</p>
-            <h3>{summary.pendingCount}</h3>
-          </article>
-          <article className="metric panel warning">
-            <p>Paid Without PDF</p>
-            <h3>{summary.missingProofs}</h3>
-          </article>
-        </section>
-
-        <section className="control-grid">
-          <form className="panel form-panel" onSubmit={handleAddEmployee}>
-            <h2>Add Employee</h2>
-            <label>
-              Name
-              <input
-                value={adding.name}
-                onChange={(event) => setAdding((prev) => ({ ...prev, name: event.target.value }))}
-                placeholder="Jamie Rivera"
-                required
+        {transferSources.length && can(role, 'backup.restore') ? (
+          <DataTransferPanel sources={transferSources} onImport={importLocalState} onDismiss={dismissTransfer} />
+        ) : null}
+
+        {view === 'reports' ? (
+          <ReportsPanel state={state} />
+        ) : (
+          <>
+            <section className="metrics-grid">
+              <article className="metric panel">
+                <p>Team Size</p>
+                <h3>{summary.totalEmployees}</h3>
+              </article>
+              <article className="metric panel">
+                <p>Paid This Month</p>
+                <h3>
+                  {summary.paidCount} / {summary.totalEmployees}
+                </h3>
+              </article>
+              <article className="metric panel">
+                <p>Gross Payroll ({rates.base})</p>
+                <h3>{formatCurrency(summary.totalPayroll, rates.base)}</h3>
+              </article>
+              <article className="metric panel">
+                <p>Deductions ({rates.base})</p>
+                <h3>{formatCurrency(summary.totalDeductions, rates.base)}</h3>
+              </article>
+              <article className="metric panel">
+                <p>Net Payroll ({rates.base})</p>
+                <h3>{formatCurrency(summary.netPayroll, rates.base)}</h3>
+              </article>
+              <article className="metric panel">
+                <p>Paid So Far ({rates.base})</p>
+                <h3>{formatCurrency(summary.paidPayroll, rates.base)}</h3>
+              </article>
+              <article className="metric panel">
+                <p>Pending</p>
+                <h3>
+                  {summary.pendingCount}
+                  {summary.partialCount ? <small> ({summary.partialCount} partial)</small> : null}
+                </h3>
+              </article>
+              <article
+                className={`metric panel ${deadline.state !== 'upcoming' && summary.pendingCount ? 'warning' : ''}`}
+              >
+                <p>Payday</p>
+                <h3>{deadline.date}</h3>
+                {summary.pendingCount ? <small className="muted">{deadlineLabel(deadline)}</small> : null}
+              </article>
+              <article className={`metric panel ${summary.overdueCount > 0 ? 'warning' : ''}`}>
+                <p>Overdue</p>
+                <h3>{summary.overdueCount}</h3>
+              </article>
+              <article className="metric panel warning">
+                <p>Paid Without PDF</p>
+                <h3>{summary.missingProofs}</h3>
+              </article>
+              <article className="metric panel warning">
+                <p>Proof Doesn&apos;t Match</p>
+                <h3>{summary.mismatchedProofs}</h3>
+              </article>
+              <article className="metric panel stages">
+                <p>Approval Stages</p>
+                <div className="stage-counts">
+                  {Object.entries(STAGES).map(([stage, label]) => (
+                    <div key={stage}>
+                      <span className={`pill ${stage}`}>{label}</span>
+                      <strong>{summary.stages[stage]}</strong>
+                    </div>
+                  ))}
+                </div>
+              </article>
+            </section>
+
+            <section className={`control-grid ${can(role, 'employees.edit') ? '' : 'single'}`}>
+              {can(role, 'employees.edit') ? (
+                <form className="panel form-panel" onSubmit={handleAddEmployee}>
+                  <h2>Add Employee</h2>
+                  <label>
+                    Name
+                    <input
+                      value={adding.name}
+                      onChange={(event) => setAdding((prev) => ({ ...prev, name: event.target.value }))}
+                      placeholder="Jamie Rivera"
+                      required
+                    />
+                  </label>
+                  <label>
+                    Department
+                    <input
+                      value={adding.department}
+                      onChange={(event) => setAdding((prev) => ({ ...prev, department: event.target.value }))}
+                      placeholder="Operations"
+                      required
+                    />
+                  </label>
+                  <label>
+                    Currency
+                    <select
+                      value={adding.currency}
+                      onChange={(event) => setAdding((prev) => ({ ...prev, currency: event.target.value }))}
+                    >
+                      {CURRENCIES.map((currency) => (
+                        <option key={currency} value={currency}>
+                          {currency}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                  <label>
+                    Monthly Salary ({adding.currency})
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      value={adding.salary}
+                      onChange={(event) => setAdding((prev) => ({ ...prev, salary: event.target.value }))}
+                      placeholder="6200"
+                      required
+                    />
+                  </label>
+                  <label>
+                    Hire Date
+                    <input
+                      type="date"
+                      value={adding.hireDate}
+                      title="Leave empty to use the start of the selected pay period"
+                      onChange={(event) => setAdding((prev) => ({ ...prev, hireDate: event.target.value }))}
+                    />
+                  </label>
+                  <button className="btn btn-primary" type="submit">
+                    Add Employee
+                  </button>
+                </form>
+              ) : null}
+
+              <div className="panel quick-panel">
+                <h2>Pay Period Controls</h2>
+                <PeriodPicker schedules={state.settings.paySchedules} period={period} onChange={handlePeriodChange} />
+                <p className="muted">
+                  {periodRange(period)} · Payday {deadline.date} · {monthSummary}
+                </p>
+                {remindersSupported() ? (
+                  <label className="toggle-row">
+                    <input
+                      type="checkbox"
+                      checked={reminders}
+                      onChange={(event) => toggleReminders(event.target.checked)}
+                    />
+                    Notify me about unpaid employees before payday
+                  </label>
+                ) : null}
+                {monthClosed ? (
+                  <p className="muted">
+                    Closed by {monthClosure.closedBy} on {new Date(monthClosure.closedAt).toLocaleString()}. Figures
+                    below come from the frozen snapshot.
+                  </p>
+                ) : null}
+                <p className="muted">
+                  {summary.currencies
+                    .filter((currency) => currency !== rates.base && rateFor(rates, currency))
+                    .map((currency) => `1 ${currency} = ${rateFor(rates, currency)} ${rates.base}`)
+                    .join(' · ') || `Totals are reported in ${rates.base}.`}
+                  {summary.missingRates.length ? (
+                    <span className="error-text">
+                      {' '}
+                      No {summary.missingRates.join(', ')} rate for this month; those employees are left out of totals.
+                    </span>
+                  ) : null}
+                </p>
+                <div className="quick-row actions">
+                  {monthClosed && can(role, 'month.reopen') ? (
+                    <button type="button" className="btn btn-soft" onClick={handleReopenMonth}>
+                      Reopen Period
+                    </button>
+                  ) : null}
+                  {!monthClosed && can(role, 'records.submit') && summary.stages.draft ? (
+                    <button type="button" className="btn btn-soft" onClick={submitAll}>
+                      Submit All Drafts
+                    </button>
+                  ) : null}
+                  {!monthClosed && can(role, 'records.approve') && summary.stages.submitted ? (
+                    <button type="button" className="btn btn-soft" onClick={approveAll}>
+                      Approve All Submitted
+                    </button>
+                  ) : null}
+                  {!monthClosed && can(role, 'records.markAllPaid') ? (
+                    <button type="button" className="btn btn-soft" onClick={markAllPaid}>
+                      Mark All Paid
+                    </button>
+                  ) : null}
+                  {!monthClosed && can(role, 'month.close') ? (
+                    <button type="button" className="btn btn-soft" onClick={handleCloseMonth}>
+                      Close Period
+                    </button>
+                  ) : null}
+                  <button type="button" className="btn btn-soft" onClick={() => setRatesOpen(true)}>
+                    Exchange Rates
+                  </button>
+                  <button type="button" className="btn btn-soft" onClick={() => setSchedulesOpen(true)}>
+                    Pay Schedules
+                  </button>
+                  <button type="button" className="btn btn-soft" onClick={() => setPaydayOpen(true)}>
+                    Payday &amp; Holidays
+                  </button>
+                  {can(role, 'import') ? (
+                    <button type="button" className="btn btn-soft" onClick={() => setImportOpen(true)}>
+                      Import
+                    </button>
+                  ) : null}
+                  {can(role, 'payments.export') ? (
+                    <button type="button" className="btn btn-soft" onClick={() => setBankFileOpen(true)}>
+                      Bank File
+                    </button>
+                  ) : null}
+                  {canUploadProofs ? (
+                    <button
+                      type="button"
+                      className="btn btn-soft"
+                      onClick={() => setBulkUploadPeriod(state.selectedPeriod)}
+                    >
+                      Bulk Upload Proofs
+                    </button>
+                  ) : null}
+                  {can(role, 'payslips.issue') ? (
+                    <button type="button" className="btn btn-soft" onClick={downloadAllPayslips}>
+                      All Payslips
+                    </button>
+                  ) : null}
+                  <button type="button" className="btn btn-primary" onClick={exportCsv}>
+                    Export CSV
+                  </button>
+                </div>
+              </div>
+            </section>
+
+            {backupOpen ? (
+              <BackupPanel
+                state={state}
+                storage={storage}
+                canRestore={can(role, 'backup.restore')}
+                onRestore={restoreBackup}
+                onClose={() => setBackupOpen(false)}
               />
-            </label>
-            <label>
-              Department
-              <input
-                value={adding.department}
-                onChange={(event) => setAdding((prev) => ({ ...prev, department: event.target.value }))}
-                placeholder="Operations"
-                required
+            ) : null}
+
+            {storageOpen ? (
+              <StoragePanel
+                state={state}
+                heldProofs={heldProofs}
+                storage={storage}
+                localBackend={storage.name === 'local'}
+                localKey={storage.name === 'local' ? localStateKey(viewScope) : ''}
+                canClean={can(role, 'proofs.delete')}
+                onRemoveReferences={removeMissingProofs}
+                onClose={() => setStorageOpen(false)}
               />
-            </label>
-            <label>
-              Monthly Salary ($)
-              <input
-                type="number"
-                min="0"
-                step="0.01"
-                value={adding.salary}
-                onChange={(event) => setAdding((prev) => ({ ...prev, salary: event.target.value }))}
-                placeholder="6200"
-                required
+            ) : null}
+
+            {accessOpen ? (
+              <AccessPanel
+                access={state.access}
+                currentEmail={user.email}
+                onSave={saveAccess}
+                onClose={() => setAccessOpen(false)}
               />
-            </label>
-            <button className="btn btn-primary" type="submit">
-              Add Employee
-            </button>
-          </form>
-
-          <div className="panel quick-panel">
-            <h2>Monthly Controls</h2>
-            <div className="quick-row">
-              <label>
-                Payroll Month
-                <input
-                  type="month"
-                  value={state.selectedMonth}
-                  onChange={(event) => handleMonthChange(event.target.value)}
-                />
-              </label>
-              <label>
-                Status Filter
-                <select value={statusFilter} onChange={(event) => setStatusFilter(event.target.value)}>
-                  <option value="all">All</option>
-                  <option value="paid">Paid</option>
-                  <option value="pending">Pending</option>
-                </select>
-              </label>
-            </div>
-            <div className="quick-row actions">
-              <button type="button" className="btn btn-soft" onClick={markAllPaid}>
-                Mark All Paid
-              </button>
-              <button type="button" className="btn btn-primary" onClick={exportCsv}>
-                Export CSV
-              </button>
-            </div>
-          </div>
-        </section>
+            ) : null}
 
-        <section className="main-grid">
-          <article className="panel table-panel">
-            <div className="table-heading">
-              <h2>Employee Payroll Tracker</h2>
-              <p>Proof files are stored locally in your browser and linked to each month and employee.</p>
-            </div>
+            {ratesOpen ? (
+              <ExchangeRatesPanel
+                month={period.month}
+                baseCurrency={state.settings.baseCurrency}
+                rates={rates}
+                currencies={summary.currencies}
+                canEditRates={!monthClosed && !isMonthClosed(state, period.month) && can(role, 'rates.edit')}
+                canEditBase={can(role, 'settings.edit')}
+                onSave={saveRates}
+                onClose={() => setRatesOpen(false)}
+              />
+            ) : null}
 
-            <div className="table-wrap">
-              <table>
-                <thead>
-                  <tr>
-                    <th>Employee</th>
-                    <th>Department</th>
-                    <th>Salary</th>
-                    <th>Status</th>
-                    <th>Payment Date</th>
-                    <th>Upload PDF</th>
-                    <th>Proof Files</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {filteredEmployees.map((employee) => {
-                    const record = monthRecords[employee.id] || { paid: false, paymentDate: '', proofs: [] };
-                    return (
-                      <tr key={employee.id}>
-                        <td>
-                          <strong>{employee.name}</strong>
-                        </td>
-                        <td>{employee.department}</td>
-                        <td>{formatCurrency(employee.salary)}</td>
-                        <td>
-                          <div className={`pill ${record.paid ? 'paid' : 'pending'}`}>
-                            {record.paid ? 'Paid' : 'Pending'}
-                          </div>
-                          <label className="toggle-row">
-                            <input
-                              type="checkbox"
-                              checked={record.paid}
-                              onChange={(event) => {
-                                updateRecord(employee.id, (current) => ({
-                                  ...current,
-                                  paid: event.target.checked,
-                                  paymentDate:
-                                    event.target.checked && !current.paymentDate
-                                      ? new Date().toISOString().slice(0, 10)
-                                      : current.paymentDate
-                                }));
-                              }}
-                            />
-                            Set paid
-                          </label>
-                        </td>
-                        <td>
-                          <input
-                            type="date"
-                            value={record.paymentDate || ''}
-                            onChange={(event) => {
-                              updateRecord(employee.id, (current) => ({
-                                ...current,
-                                paymentDate: event.target.value
-                              }));
-                            }}
-                          />
-                        </td>
-                        <td>
-                          <label className="upload-btn">
-                            <input
-                              type="file"
-                              accept="application/pdf"
-                              onChange={async (event) => {
-                                const file = event.target.files?.[0];
-                                event.target.value = '';
-                                await uploadProof(employee.id, file);
-                              }}
-                            />
-                            Add PDF
-                          </label>
-                        </td>
-                        <td>
-                          <div className="proofs">
-                            {(record.proofs || []).length === 0 && <span className="muted">No PDF uploaded</span>}
-                            {(record.proofs || []).map((proof) => (
-                              <div className="proof-item" key={proof.id}>
-                                <span>
-                                  {proof.fileName} ({formatBytes(proof.fileSize)})
+            {paydayOpen ? (
+              <PaydayPanel
+                payday={state.settings.payday}
+                period={period}
+                canEdit={can(role, 'settings.edit')}
+                onSave={savePayday}
+                onClose={() => setPaydayOpen(false)}
+              />
+            ) : null}
+
+            {schedulesOpen ? (
+              <PaySchedulesPanel
+                schedules={state.settings.paySchedules}
+                departmentSchedules={state.settings.departmentSchedules}
+                departments={[...new Set(state.employees.map((employee) => employee.department))].sort()}
+                usedScheduleIds={usedScheduleIds}
+                canEdit={can(role, 'settings.edit')}
+                onSave={saveSchedules}
+                onClose={() => setSchedulesOpen(false)}
+              />
+            ) : null}
+
+            {bankFileOpen ? (
+              <BankFilePanel
+                key={state.selectedPeriod}
+                month={state.selectedPeriod}
+                employees={activeEmployees}
+                allEmployees={state.employees}
+                records={monthRecords}
+                netById={netById}
+                originator={state.settings.originator}
+                canEditOriginator={can(role, 'settings.edit')}
+                canGenerate={!monthClosed && can(role, 'payments.export')}
+                onSaveOriginator={saveOriginator}
+                onGenerate={generateBankFile}
+                onClose={() => setBankFileOpen(false)}
+              />
+            ) : null}
+
+            {bulkUploadPeriod === state.selectedPeriod && canUploadProofs ? (
+              <BulkProofUpload
+                month={bulkUploadPeriod}
+                employees={activeEmployees}
+                netById={netById}
+                findDuplicates={(sha256) => findDuplicateProofs(state, sha256)}
+                describeProof={describeProofOwner}
+                onAttach={uploadProofBatch}
+                onClose={() => setBulkUploadPeriod('')}
+              />
+            ) : null}
+
+            {importOpen ? (
+              <ImportPanel
+                employees={state.employees}
+                period={period}
+                rosterIds={new Set(activeEmployees.map((employee) => employee.id))}
+                monthRecords={monthRecords}
+                monthClosed={monthClosed}
+                onApply={applyImport}
+                onClose={() => setImportOpen(false)}
+              />
+            ) : null}
+
+            {editingEmployee ? (
+              <EmployeeEditor
+                key={editingEmployee.id}
+                employee={editingEmployee}
+                employees={state.employees}
+                selectedMonth={period.month}
+                schedules={state.settings.paySchedules}
+                departmentSchedules={state.settings.departmentSchedules}
+                onSelect={setEditingId}
+                onSave={saveEmployee}
+                onClose={() => setEditingId(null)}
+              />
+            ) : null}
+
+            {adjustingEmployee ? (
+              <PayAdjustments
+                key={adjustingEmployee.id}
+                employee={adjustingEmployee}
+                record={monthRecords[adjustingEmployee.id]}
+                month={state.selectedPeriod}
+                editable={canEditRecords && recordStage(monthRecords[adjustingEmployee.id]) === 'draft'}
+                onSave={(adjustments) => saveAdjustments(adjustingEmployee.id, adjustments)}
+                onClose={() => setAdjustingId(null)}
+              />
+            ) : null}
+
+            {payslipEmployee ? (
+              <PayslipPanel
+                key={`${state.selectedPeriod}-${payslipEmployee.id}`}
+                employee={payslipEmployee}
+                record={monthRecords[payslipEmployee.id]}
+                month={state.selectedPeriod}
+                branding={state.settings.branding}
+                canIssue={can(role, 'payslips.issue')}
+                canEditBranding={can(role, 'settings.edit')}
+                onIssue={issuePayslips}
+                onSaveBranding={saveBranding}
+                onClose={() => setPayslipId(null)}
+              />
+            ) : null}
+
+            {viewingEmployee && viewingProof ? (
+              <ProofViewer
+                key={viewingProof.id}
+                employee={viewingEmployee}
+                record={monthRecords[viewingEmployee.id]}
+                pay={payByEmployee.get(viewingEmployee.id)}
+                proof={viewingProof}
+                loadProof={(proofId) => storage.getProof(proofId)}
+                duplicates={findDuplicateProofs(state, viewingProof.sha256, viewingProof.id)}
+                describeProof={describeProofOwner}
+                onScanned={(scan) => saveProofScan(viewingProof.id, scan)}
+                onClose={() => setViewing(null)}
+              />
+            ) : null}
+
+            <section className="main-grid">
+              <article className="panel table-panel">
+                <div className="table-heading">
+                  <h2>Employee Payroll Tracker</h2>
+                  <p>
+                    {storageBackend === 'firestore'
+                      ? 'Proof files are stored in the shared workspace and linked to each month and employee.'
+                      : 'Proof files are stored locally in your browser and linked to each month and employee.'}
+                  </p>
+                </div>
+
+                <div className="table-tools">
+                  <label>
+                    Search
+                    <input
+                      type="search"
+                      value={tableView.search}
+                      onChange={(event) => updateTableView({ search: event.target.value })}
+                      placeholder="Name or department"
+                    />
+                  </label>
+                  <label>
+                    Department
+                    <select
+                      value={tableView.department}
+                      onChange={(event) => updateTableView({ department: event.target.value })}
+                    >
+                      <option value="all">All departments</option>
+                      {departments.map((department) => (
+                        <option key={department} value={department}>
+                          {department}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                  <label>
+                    Status
+                    <select
+                      value={tableView.status}
+                      onChange={(event) => updateTableView({ status: event.target.value })}
+                    >
+                      <option value="all">All</option>
+                      <option value="paid">Paid</option>
+                      <option value="pending">Pending</option>
+                      <option value="partial">Partially paid</option>
+                      <option value="due">Due soon</option>
+                      <option value="overdue">Overdue</option>
+                      <option value="draft">Draft</option>
+                      <option value="submitted">Submitted</option>
+                      <option value="approved">Approved</option>
+                    </select>
+                  </label>
+                  <label className="toggle-row">
+                    <input
+                      type="checkbox"
+                      checked={tableView.grouped}
+                      onChange={(event) => updateTableView({ grouped: event.target.checked })}
+                    />
+                    Group by department
+                  </label>
+                  {tableView.grouped ? (
+                    <button
+                      type="button"
+                      className="btn-chip"
+                      onClick={() => updateTableView({ collapsed: tableView.collapsed.length ? [] : departments })}
+                    >
+                      {tableView.collapsed.length ? 'Expand all' : 'Collapse all'}
+                    </button>
+                  ) : null}
+                  <small className="muted">
+                    {tableRows.length} of {activeEmployees.length} employees · Shift-click headers to sort by more
+                    than one column
+                  </small>
+                </div>
+
+                <div className="table-wrap virtual" ref={virtual.containerRef}>
+                  <table>
+                    <thead>
+                      <tr>
+                        {[
+                          ['name', 'Employee'],
+                          ['department', 'Department'],
+                          ['salary', 'Salary'],
+                          ['net', 'Gross / Net'],
+                          ['stage', 'Status'],
+                          ['paymentDate', 'Payments'],
+                          [null, 'Upload Proof'],
+                          ['proofs', 'Proof Files']
+                        ].map(([key, label]) => (
+                          <th key={label}>
+                            {key ? (
+                              <button
+                                type="button"
+                                className="sort-btn"
+                                title={`Sort by ${SORT_KEYS[key].toLowerCase()}`}
+                                onClick={(event) =>
+                                  updateTableView({ sort: toggleSort(tableView.sort, key, event.shiftKey) })
+                                }
+                              >
+                                {label}
+                                {sortIndicator(key)}
+                              </button>
+                            ) : (
+                              label
+                            )}
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {virtual.padTop ? <tr aria-hidden="true" style={{ height: virtual.padTop }} /> : null}
+                      {tableItems.slice(virtual.start, virtual.end).map((item) => {
+                        if (item.type === 'group') {
+                          return (
+                            <tr
+                              key={item.key}
+                              className="group-row"
+                              ref={(node) => virtual.measure(item.key, node)}
+                            >
+                              <td colSpan={8}>
+                                <button
+                                  type="button"
+                                  className="btn-chip"
+                                  onClick={() => toggleGroup(item.department)}
+                                  aria-expanded={!item.collapsed}
+                                >
+                                  {item.collapsed ? '▸' : '▾'} {item.department}
+                                </button>{' '}
+                                <span className="muted">
+                                  {item.count} employees · {item.paidCount} paid · Net{' '}
+                                  {formatCurrency(item.net, rates.base)}
                                 </span>
-                                <button type="button" className="btn-chip" onClick={() => viewProof(proof.id)}>
-                                  View
+                              </td>
+                            </tr>
+                          );
+                        }
+
+                        const { employee } = item;
+                        const record = monthRecords[employee.id] || {
+                          paid: false,
+                          paymentDate: '',
+                          payments: [],
+                          proofs: []
+                        };
+                        const stage = recordStage(record);
+                        const pay = payByEmployee.get(employee.id);
+                        return (
+                          <tr key={employee.id} ref={(node) => virtual.measure(employee.id, node)}>
+                            <td>
+                              <strong>{employee.name}</strong>{' '}
+                              {can(role, 'employees.edit') ? (
+                                <button type="button" className="btn-chip" onClick={() => setEditingId(employee.id)}>
+                                  Edit
                                 </button>
+                              ) : null}
+                            </td>
+                            <td>{employee.department}</td>
+                            <td>
+                              {formatCurrency(employee.salary, employee.currency)}
+                              {!monthClosed && currentSalary(employee) !== employee.salary ? (
+                                <small className="muted">
+                                  {' '}
+                                  (now {formatCurrency(currentSalary(employee), employee.currency)})
+                                </small>
+                              ) : null}
+                            </td>
+                            <td>
+                              <div className="pay-figures">
+                                <span>Gross {formatCurrency(pay.gross, employee.currency)}</span>
+                                {pay.totalDeductions ? (
+                                  <small className="muted">
+                                    Deductions {formatCurrency(pay.totalDeductions, employee.currency)}
+                                  </small>
+                                ) : null}
+                                <strong>Net {formatCurrency(pay.net, employee.currency)}</strong>
+                              </div>
+                              <button type="button" className="btn-chip" onClick={() => setAdjustingId(employee.id)}>
+                                Details
+                              </button>{' '}
+                              <button type="button" className="btn-chip" onClick={() => setPayslipId(employee.id)}>
+                                Payslip
+                              </button>
+                              {record.payslips?.length ? (
+                                <small className="muted stage-note">
+                                  Payslip issued {record.payslips[record.payslips.length - 1].issuedAt.slice(0, 10)}
+                                </small>
+                              ) : null}
+                            </td>
+                            <td>
+                              <div className={`pill ${stage}`}>{STAGES[stage]}</div>
+                              {record.submittedBy ? (
+                                <small className="muted stage-note">Submitted by {record.submittedBy}</small>
+                              ) : null}
+                              {record.approvedBy ? (
+                                <small className="muted stage-note">
+                                  Approved by {record.approvedBy} on {new Date(record.approvedAt).toLocaleDateString()}
+                                </small>
+                              ) : null}
+                              {stage === 'draft' && !monthClosed && can(role, 'records.submit') ? (
                                 <button
                                   type="button"
-                                  className="btn-chip danger"
-                                  onClick={() => removeProof(employee.id, proof.id)}
+                                  className="btn-chip"
+                                  onClick={() =>
+                                    updateRecord(employee.id, 'record.submit', (current) =>
+                                      submitRecord(
+                                        current,
+                                        actor,
+                                        new Date().toISOString(),
+                                        computePay(employee, current, state.selectedPeriod).net
+                                      )
+                                    )
+                                  }
                                 >
-                                  Delete
+                                  Submit
                                 </button>
+                              ) : null}
+                              {stage === 'submitted' && !monthClosed && can(role, 'records.approve') ? (
+                                <div className="proof-item">
+                                  <button
+                                    type="button"
+                                    className="btn-chip"
+                                    disabled={record.submittedBy === actor}
+                                    title={
+                                      record.submittedBy === actor ? 'Another user must approve your submission' : ''
+                                    }
+                                    onClick={() => approveOne(employee.id)}
+                                  >
+                                    Approve
+                                  </button>
+                                  <button
+                                    type="button"
+                                    className="btn-chip danger"
+                                    onClick={() => rejectOne(employee.id)}
+                                  >
+                                    Reject
+                                  </button>
+                                </div>
+                              ) : null}
+                            </td>
+                            <td>
+                              <PaymentsCell
+                                record={record}
+                                due={pay.net}
+                                deadline={isFullyPaid(record, pay.net) ? null : deadline}
+                                currency={employee.currency}
+                                canEdit={canEditRecords}
+                                onAdd={(payment) => recordPayment(employee, payment)}
+                                onRemove={(paymentId) => deletePayment(employee, paymentId)}
+                                onPayBalance={() => payEmployeeBalance(employee)}
+                              />
+                            </td>
+                            <td>
+                              <label className={`upload-btn ${canUploadProofs ? '' : 'disabled'}`}>
+                                <input
+                                  type="file"
+                                  accept={PROOF_ACCEPT}
+                                  disabled={!canUploadProofs}
+                                  onChange={async (event) => {
+                                    const file = event.target.files?.[0];
+                                    event.target.value = '';
+                                    await uploadProof(employee.id, file);
+                                  }}
+                                />
+                                Add Proof
+                              </label>
+                            </td>
+                            <td>
+                              <div className="proofs">
+                                {(record.proofs || []).length === 0 && <span className="muted">No proof uploaded</span>}
+                                {(record.proofs || []).map((proof) => {
+                                  const warnings = warningsFor(employee, proof);
+                                  const duplicates = (proofsByHash.get(proof.sha256) || []).filter(
+                                    (item) => item.id !== proof.id
+                                  );
+
+                                  return (
+                                    <div className="proof-item" key={proof.id}>
+                                      <span>
+                                        {proof.fileName} ({formatBytes(proof.fileSize)})
+                                      </span>
+                                      <button
+                                        type="button"
+                                        className="btn-chip"
+                                        onClick={() => viewProof(employee.id, proof.id)}
+                                      >
+                                        View
+                                      </button>
+                                      {canDeleteProofs ? (
+                                        <button
+                                          type="button"
+                                          className="btn-chip danger"
+                                          onClick={() => removeProof(employee.id, proof.id)}
+                                        >
+                                          Delete
+                                        </button>
+                                      ) : null}
+                                      {warnings.length ? (
+                                        <small className="proof-warning" title={warnings.join('\n')}>
+                                          {warnings[0]}
+                                          {warnings.length > 1 ? ` (+${warnings.length - 1} more)` : ''}
+                                        </small>
+                                      ) : null}
+                                      {duplicates.length ? (
+                                        <small className="proof-warning">
+                                          Same file as {duplicates.map(describeProofOwner).join(', ')}
+                                        </small>
+                                      ) : null}
+                                    </div>
+                                  );
+                                })}
                               </div>
-                            ))}
-                          </div>
-                        </td>
-                      </tr>
-                    );
-                  })}
-                </tbody>
-              </table>
-            </div>
-          </article>
-
-          <aside className="panel activity-panel">
-            <h2>Recent Uploads</h2>
-            <div className="activity-list">
-              {activity.length === 0 && <p className="muted">No proof uploads for this month yet.</p>}
-              {activity.map((item) => (
-                <article className="activity-card" key={`${item.employee}-${item.fileName}-${item.uploadedAt}`}>
-                  <h4>{item.employee}</h4>
-                  <p>{item.fileName}</p>
-                  <small>
-                    {new Date(item.uploadedAt).toLocaleString()} | {formatBytes(item.fileSize)}
-                  </small>
-                </article>
-              ))}
-            </div>
-          </aside>
-        </section>
+                            </td>
+                          </tr>
+                        );
+                      })}
+                      {virtual.padBottom ? <tr aria-hidden="true" style={{ height: virtual.padBottom }} /> : null}
+                    </tbody>
+                  </table>
+                </div>
+              </article>
+
+              <aside className="panel activity-panel">
+                <h2>Recent Uploads</h2>
+                <div className="activity-list">
+                  {activity.length === 0 && <p className="muted">No proof uploads for this month yet.</p>}
+                  {activity.map((item) => (
+                    <article className="activity-card" key={`${item.employee}-${item.fileName}-${item.uploadedAt}`}>
+                      <h4>{item.employee}</h4>
+                      <p>{item.fileName}</p>
+                      <small>
+                        {new Date(item.uploadedAt).toLocaleString()} | {formatBytes(item.fileSize)}
+                      </small>
+                    </article>
+                  ))}
+                </div>
+              </aside>
+            </section>
+
+            <AuditTrail auditLog={state.auditLog} employees={state.employees} selectedPeriod={state.selectedPeriod} />
+          </>
+        )}
       </main>
+      {toast ? (
+        <UndoToast
+          toast={toast}
+          canUndo={Boolean(undoEntry(timeline))}
+          canRedo={Boolean(redoEntry(timeline))}
+          onUndo={handleUndo}
+          onRedo={handleRedo}
+          onDismiss={() => setToast(null)}
+        />
+      ) : null}
     </div>
   );
 }
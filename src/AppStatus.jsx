@@ -0,0 +1,81 @@
+import { useEffect, useState } from 'react';
+import { storageBackend } from './storage/index.js';
+import useOnline from './useOnline.js';
+
+const UPDATE_CHECK_INTERVAL = 60 * 60 * 1000;
+
+const OFFLINE_MESSAGES = {
+  local: 'You are offline. Changes are still saved in this browser.',
+  firestore: 'You are offline. Changes are kept on this device and saved once the connection returns.'
+};
+
+function useServiceWorker() {
+  const [waiting, setWaiting] = useState(null);
+
+  useEffect(() => {
+    if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return undefined;
+
+    let cancelled = false;
+    let timer = 0;
+    const track = (worker) => {
+      if (!worker) return;
+      const check = () => {
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) setWaiting(worker);
+      };
+      check();
+      worker.addEventListener('statechange', check);
+    };
+
+    navigator.serviceWorker
+      .register(`${import.meta.env.BASE_URL}sw.js`, { scope: import.meta.env.BASE_URL })
+      .then((registered) => {
+        if (cancelled) return;
+        track(registered.waiting);
+        registered.addEventListener('updatefound', () => track(registered.installing));
+        timer = window.setInterval(() => registered.update().catch(() => {}), UPDATE_CHECK_INTERVAL);
+      })
+      .catch(() => {});
+
+    return () => {
+      cancelled = true;
+      window.clearInterval(timer);
+    };
+  }, []);
+
+  function reload() {
+    if (!waiting) return;
+    let reloaded = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (reloaded) return;
+      reloaded = true;
+      window.location.reload();
+    });
+    waiting.postMessage('skipWaiting');
+  }
+
+  return { updateReady: Boolean(waiting), reload, dismiss: () => setWaiting(null) };
+}
+
+export default function AppStatus() {
+  const online = useOnline();
+  const { updateReady, reload, dismiss } = useServiceWorker();
+
+  if (online && !updateReady) return null;
+
+  return (
+    <div className="app-status" role="status">
+      {online ? null : <p className="app-status-offline">{OFFLINE_MESSAGES[storageBackend]}</p>}
+      {updateReady ? (
+        <p>
+          A new version of the dashboard is available.{' '}
+          <button type="button" className="btn-chip" onClick={reload}>
+            Reload
+          </button>
+          <button type="button" className="btn-chip" aria-label="Dismiss" onClick={dismiss}>
+            ×
+          </button>
+        </p>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,122 @@
+import { useMemo, useState } from 'react';
+import { AUDIT_ACTIONS, formatAuditValue } from './audit.js';
+import { downloadCsv } from './csv.js';
+import { periodLabel } from './format.js';
+
+const VISIBLE_LIMIT = 200;
+
+export default function AuditTrail({ auditLog, employees, selectedPeriod }) {
+  const [monthFilter, setMonthFilter] = useState(selectedPeriod);
+  const [employeeFilter, setEmployeeFilter] = useState('all');
+
+  const months = useMemo(
+    () => [...new Set(auditLog.map((entry) => entry.month).filter(Boolean))].sort().reverse(),
+    [auditLog]
+  );
+
+  const entries = useMemo(() => {
+    return auditLog
+      .filter((entry) => monthFilter === 'all' || entry.month === monthFilter)
+      .filter((entry) => employeeFilter === 'all' || entry.employeeId === employeeFilter)
+      .slice()
+      .reverse();
+  }, [auditLog, monthFilter, employeeFilter]);
+
+  function exportAudit() {
+    downloadCsv(
+      [
+        ['Timestamp', 'User', 'Action', 'Period', 'Employee', 'Before', 'After', 'Note'],
+        ...entries.map((entry) => [
+          entry.at,
+          entry.actor,
+          AUDIT_ACTIONS[entry.action] || entry.action,
+          entry.month,
+          entry.employeeName,
+          formatAuditValue(entry.before),
+          formatAuditValue(entry.after),
+          entry.note || ''
+        ])
+      ],
+      `payroll-audit-${monthFilter}-${employeeFilter === 'all' ? 'all' : employeeFilter.slice(0, 8)}.csv`
+    );
+  }
+
+  return (
+    <section className="panel audit-panel">
+      <div className="editor-heading">
+        <h2>Audit Trail</h2>
+        <div className="panel-tools">
+          <label>
+            Period
+            <select value={monthFilter} onChange={(event) => setMonthFilter(event.target.value)}>
+              <option value="all">All periods</option>
+              {[...new Set([selectedPeriod, ...months])].map((month) => (
+                <option key={month} value={month}>
+                  {periodLabel(month)}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Employee
+            <select value={employeeFilter} onChange={(event) => setEmployeeFilter(event.target.value)}>
+              <option value="all">All employees</option>
+              {employees.map((employee) => (
+                <option key={employee.id} value={employee.id}>
+                  {employee.name}
+                </option>
+              ))}
+            </select>
+          </label>
+          <button type="button" className="btn btn-primary" onClick={exportAudit} disabled={!entries.length}>
+            Export Audit CSV
+          </button>
+        </div>
+      </div>
+
+      <div className="table-wrap">
+        <table>
+          <thead>
+            <tr>
+              <th>When</th>
+              <th>User</th>
+              <th>Action</th>
+              <th>Month</th>
+              <th>Employee</th>
+              <th>Before</th>
+              <th>After</th>
+            </tr>
+          </thead>
+          <tbody>
+            {entries.length === 0 ? (
+              <tr>
+                <td colSpan={7} className="muted">
+                  No changes recorded for this filter.
+                </td>
+              </tr>
+            ) : null}
+            {entries.slice(0, VISIBLE_LIMIT).map((entry) => (
+              <tr key={entry.id}>
+                <td>{new Date(entry.at).toLocaleString()}</td>
+                <td>{entry.actor}</td>
+                <td>
+                  {AUDIT_ACTIONS[entry.action] || entry.action}
+                  {entry.note ? <small className="muted"> ({entry.note})</small> : null}
+                </td>
+                <td>{entry.month ? periodLabel(entry.month) : ''}</td>
+                <td>{entry.employeeName}</td>
+                <td>{formatAuditValue(entry.before)}</td>
+                <td>{formatAuditValue(entry.after)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {entries.length > VISIBLE_LIMIT ? (
+        <p className="muted">
+          Showing the latest {VISIBLE_LIMIT} of {entries.length} entries. Export to see the full trail.
+        </p>
+      ) : null}
+    </section>
+  );
+}
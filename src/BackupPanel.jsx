@@ -0,0 +1,149 @@
+import { useState } from 'react';
+import { createBackup, readBackup } from './backup.js';
+import { downloadFile } from './csv.js';
+import { periodLabel } from './format.js';
+
+export default function BackupPanel({ state, storage, canRestore, onRestore, onClose }) {
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [pending, setPending] = useState(null);
+
+  async function handleExport() {
+    setBusy(true);
+    setError('');
+    setMessage('');
+
+    try {
+      const { blob, proofCount, missing, changed } = await createBackup(state, storage);
+      downloadFile(blob, `payroll-backup-${new Date().toISOString().slice(0, 10)}.zip`);
+      setMessage(
+        `Backup created with ${proofCount} proof files.` +
+          (missing.length ? ` ${missing.length} referenced proofs were not found in storage.` : '')
+      );
+      if (changed.length) {
+        setError(
+          `${changed.length} proof files no longer match the checksum recorded at upload: ` +
+            changed.map((proof) => `${proof.fileName} (${periodLabel(proof.month)})`).join(', ')
+        );
+      }
+    } catch (exportError) {
+      setError(exportError.message || 'Backup failed.');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function handleFile(file) {
+    if (!file) return;
+    setBusy(true);
+    setError('');
+    setMessage('');
+    setPending(null);
+
+    try {
+      setPending({ fileName: file.name, ...(await readBackup(file)) });
+    } catch (readError) {
+      setError(readError.message || 'Could not read the backup.');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function handleRestore(mode) {
+    const warning =
+      mode === 'replace'
+        ? 'Replace all payroll data in this workspace with the backup? Current data will be lost. Access is kept.'
+        : 'Merge the backup into the current payroll data? Existing records are kept.';
+    if (!window.confirm(warning)) return;
+
+    setBusy(true);
+    try {
+      await onRestore(pending, mode);
+      setMessage(`Backup from ${pending.fileName} restored (${mode}).`);
+      setPending(null);
+    } catch (restoreError) {
+      setError(restoreError.message || 'Restore failed.');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <section className="panel import-panel">
+      <div className="editor-heading">
+        <h2>Backup &amp; Restore</h2>
+        <div className="panel-tools">
+          <button type="button" className="btn btn-primary" onClick={handleExport} disabled={busy}>
+            Download Backup
+          </button>
+          {canRestore ? (
+            <label className={`upload-btn ${busy ? 'disabled' : ''}`}>
+              <input
+                type="file"
+                accept=".zip,application/zip"
+                disabled={busy}
+                onChange={async (event) => {
+                  const file = event.target.files?.[0];
+                  event.target.value = '';
+                  await handleFile(file);
+                }}
+              />
+              Restore from Backup
+            </label>
+          ) : null}
+          <button type="button" className="btn btn-soft" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+
+      <p className="muted">
+        A backup is a single .zip file holding every employee, month, audit entry and proof PDF in the current
+        workspace.
+      </p>
+      {busy ? <p className="muted">Working...</p> : null}
+      {message ? <p className="muted">{message}</p> : null}
+      {error ? <p className="muted error-text">{error}</p> : null}
+
+      {pending ? (
+        <div className="backup-report">
+          <h3>{pending.fileName}</h3>
+          <p className="muted">
+            Created {new Date(pending.manifest.createdAt).toLocaleString()} with {pending.state.employees?.length || 0}{' '}
+            employees across {Object.keys(pending.state.records || {}).length} months and {pending.blobs.size} verified
+            proof files.
+          </p>
+          {pending.corrupt.length ? (
+            <p className="muted error-text">
+              {pending.corrupt.length} proof files failed the integrity check and will not be restored.
+            </p>
+          ) : null}
+          {pending.missing.length ? (
+            <div className="muted error-text">
+              {pending.missing.length} referenced proofs are not available in the backup:
+              <ul>
+                {pending.missing.slice(0, 10).map((proof) => (
+                  <li key={proof.id}>
+                    {proof.fileName} ({periodLabel(proof.month)})
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ) : null}
+          <div className="editor-actions">
+            <button type="button" className="btn btn-soft" onClick={() => setPending(null)} disabled={busy}>
+              Cancel
+            </button>
+            <button type="button" className="btn btn-soft" onClick={() => handleRestore('merge')} disabled={busy}>
+              Merge
+            </button>
+            <button type="button" className="btn btn-primary" onClick={() => handleRestore('replace')} disabled={busy}>
+              Replace
+            </button>
+          </div>
+        </div>
+      ) : null}
+    </section>
+  );
+}
@@ -0,0 +1,215 @@
+import { useMemo, useState } from 'react';
+import {
+  BANK_FORMATS,
+  bankBatches,
+  bankFileCandidates,
+  maskAccount,
+  normalizeOriginator,
+  originatorIssues
+} from './bank.js';
+import { formatCurrency, periodLabel } from './format.js';
+import { periodEnd } from './schedules.js';
+
+export default function BankFilePanel({
+  month,
+  employees,
+  allEmployees,
+  records,
+  netById,
+  originator,
+  canEditOriginator,
+  canGenerate,
+  onSaveOriginator,
+  onGenerate,
+  onClose
+}) {
+  const [format, setFormat] = useState('nacha');
+  const [valueDate, setValueDate] = useState(periodEnd(month));
+  const [excluded, setExcluded] = useState([]);
+  const [profile, setProfile] = useState(originator);
+  const [editingProfile, setEditingProfile] = useState(false);
+
+  const candidates = useMemo(
+    () => bankFileCandidates(employees, records, netById, format),
+    [employees, records, netById, format]
+  );
+  const included = candidates.filter((item) => !item.issue && !excluded.includes(item.employee.id));
+  const issues = originatorIssues(originator, format);
+  const batches = bankBatches(records, allEmployees);
+  const { currency } = BANK_FORMATS[format];
+
+  function toggle(employeeId) {
+    setExcluded((prev) => (prev.includes(employeeId) ? prev.filter((id) => id !== employeeId) : [...prev, employeeId]));
+  }
+
+  function saveProfile() {
+    const next = normalizeOriginator(profile);
+    onSaveOriginator(next);
+    setProfile(next);
+    setEditingProfile(false);
+  }
+
+  const field = (key, label, props = {}) => (
+    <label>
+      {label}
+      <input
+        value={profile[key]}
+        onChange={(event) => setProfile((prev) => ({ ...prev, [key]: event.target.value }))}
+        {...props}
+      />
+    </label>
+  );
+
+  return (
+    <section className="panel import-panel">
+      <div className="editor-heading">
+        <h2>Bank Payment File · {periodLabel(month)}</h2>
+        <div className="panel-tools">
+          <label>
+            Format
+            <select value={format} onChange={(event) => setFormat(event.target.value)}>
+              {Object.entries(BANK_FORMATS).map(([value, item]) => (
+                <option key={value} value={value}>
+                  {item.label} ({item.currency})
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Value Date
+            <input type="date" value={valueDate} onChange={(event) => setValueDate(event.target.value)} />
+          </label>
+          <button
+            type="button"
+            className="btn btn-primary"
+            disabled={!canGenerate || issues.length > 0 || !included.length || !valueDate}
+            onClick={() => onGenerate({ format, valueDate, employeeIds: included.map((item) => item.employee.id) })}
+          >
+            Generate File
+          </button>
+          <button type="button" className="btn btn-soft" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+
+      <div className="salary-history">
+        <div className="panel-tools">
+          <h3>Company Originator</h3>
+          {canEditOriginator && !editingProfile ? (
+            <button type="button" className="btn-chip" onClick={() => setEditingProfile(true)}>
+              Edit
+            </button>
+          ) : null}
+        </div>
+        {editingProfile ? (
+          <>
+            <div className="editor-grid">
+              {field('name', 'Company Name')}
+              {field('companyId', 'ACH Company ID', { maxLength: 10 })}
+              {field('bankName', 'Bank Name')}
+              {field('routingNumber', 'Bank Routing Number', { inputMode: 'numeric' })}
+              {field('iban', 'Company IBAN', { autoComplete: 'off' })}
+              {field('bic', 'Company BIC')}
+            </div>
+            <div className="editor-actions">
+              <button
+                type="button"
+                className="btn btn-soft"
+                onClick={() => {
+                  setProfile(originator);
+                  setEditingProfile(false);
+                }}
+              >
+                Cancel
+              </button>
+              <button type="button" className="btn btn-primary" onClick={saveProfile}>
+                Save Originator
+              </button>
+            </div>
+          </>
+        ) : (
+          <p className="muted">
+            {originator.name || 'No company name'} · ACH ID {originator.companyId || '—'} · routing{' '}
+            {originator.routingNumber || '—'} · IBAN {maskAccount(originator.iban) || '—'}
+          </p>
+        )}
+        {issues.length ? (
+          <p className="muted error-text">
+            {issues.join(' ')}
+            {canEditOriginator ? '' : ' Ask an admin to complete the originator profile.'}
+          </p>
+        ) : null}
+      </div>
+
+      <p className="muted">
+        Approved employees paid in {currency} with an outstanding balance. Records that are still drafts or waiting for
+        approval are listed but cannot be paid until they are approved. Generating the file records a bank transfer
+        payment dated {valueDate || 'the value date'} for each included employee.
+      </p>
+
+      <div className="table-wrap">
+        <table>
+          <thead>
+            <tr>
+              <th />
+              <th>Employee</th>
+              <th>Account</th>
+              <th>Amount</th>
+              <th>Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            {candidates.length === 0 ? (
+              <tr>
+                <td colSpan={5} className="muted">
+                  No employees are waiting for payment.
+                </td>
+              </tr>
+            ) : null}
+            {candidates.map(({ employee, amount, issue }) => (
+              <tr key={employee.id}>
+                <td>
+                  <input
+                    type="checkbox"
+                    disabled={Boolean(issue)}
+                    checked={!issue && !excluded.includes(employee.id)}
+                    onChange={() => toggle(employee.id)}
+                  />
+                </td>
+                <td>{employee.name}</td>
+                <td>
+                  {format === 'nacha'
+                    ? maskAccount(employee.bank?.accountNumber) || '—'
+                    : maskAccount(employee.bank?.iban) || '—'}
+                </td>
+                <td>{formatCurrency(amount, employee.currency)}</td>
+                <td>{issue ? <span className="error-text">{issue}</span> : 'Ready'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p>
+        <strong>
+          {included.length} payments · {formatCurrency(included.reduce((sum, item) => sum + item.amount, 0), currency)}
+        </strong>
+      </p>
+
+      {batches.length ? (
+        <div className="salary-history">
+          <h3>Generated Batches</h3>
+          {batches.map((batch) => (
+            <div className="proof-item" key={batch.id}>
+              <strong>{batch.fileName}</strong>
+              <span className="muted">
+                {batch.payments.length} payments on {batch.payments[0]?.date}:{' '}
+                {batch.payments.map((payment) => payment.employeeName).join(', ')}
+              </span>
+            </div>
+          ))}
+        </div>
+      ) : null}
+    </section>
+  );
+}
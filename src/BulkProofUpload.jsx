@@ -0,0 +1,213 @@
+import { useState } from 'react';
+import { formatBytes, formatCurrency, periodLabel } from './format.js';
+import { sha256Hex } from './hash.js';
+import { extractPdfText } from './pdf.js';
+import { extractProofFields } from './proofCheck.js';
+import { isPdfProof, isProofFile, matchProofFile, PROOF_ACCEPT } from './proofFiles.js';
+
+export default function BulkProofUpload({
+  month,
+  employees,
+  netById,
+  findDuplicates,
+  describeProof,
+  onAttach,
+  onClose
+}) {
+  const [rows, setRows] = useState([]);
+  const [dragging, setDragging] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  async function addFiles(fileList) {
+    const files = [...(fileList || [])];
+    if (!files.length) return;
+    setBusy(true);
+
+    for (const file of files) {
+      const key = crypto.randomUUID();
+      if (!isProofFile(file)) {
+        setRows((prev) => [...prev, { key, file, error: 'Only PDF, JPG and PNG files can be attached.' }]);
+        continue;
+      }
+
+      let sha256;
+      try {
+        sha256 = await sha256Hex(file);
+      } catch {
+        setRows((prev) => [...prev, { key, file, error: 'This file could not be read.' }]);
+        continue;
+      }
+      const text = isPdfProof(file) ? await extractPdfText(file).catch(() => null) : null;
+      const match = matchProofFile(file.name, text, employees, netById);
+      setRows((prev) => [
+        ...prev,
+        {
+          key,
+          file,
+          sha256,
+          text,
+          employeeId: match.employeeId,
+          reasons: match.reasons,
+          duplicates: findDuplicates(sha256)
+        }
+      ]);
+    }
+
+    setBusy(false);
+  }
+
+  function updateRow(key, patch) {
+    setRows((prev) => prev.map((row) => (row.key === key ? { ...row, ...patch } : row)));
+  }
+
+  function batchDuplicates(row) {
+    return rows.filter((other) => other.key !== row.key && other.sha256 && other.sha256 === row.sha256);
+  }
+
+  const ready = rows.filter((row) => !row.error && row.employeeId);
+  const unassigned = rows.filter((row) => !row.error && !row.employeeId).length;
+
+  async function handleAttach() {
+    const flagged = ready.filter((row) => row.duplicates.length || batchDuplicates(row).length).length;
+    if (flagged && !window.confirm(`${flagged} files duplicate another proof. Attach them anyway?`)) return;
+
+    setBusy(true);
+    try {
+      await onAttach(ready);
+    } catch (error) {
+      window.alert(error.message || 'Could not attach the proof files.');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <section className="panel import-panel">
+      <div className="editor-heading">
+        <h2>Bulk Proof Upload · {periodLabel(month)}</h2>
+        <div className="panel-tools">
+          <button type="button" className="btn btn-primary" disabled={busy || !ready.length} onClick={handleAttach}>
+            Attach {ready.length} Files
+          </button>
+          <button type="button" className="btn btn-soft" onClick={onClose}>
+            Cancel
+          </button>
+        </div>
+      </div>
+
+      <label
+        className={`drop-zone ${dragging ? 'active' : ''}`}
+        onDragOver={(event) => {
+          event.preventDefault();
+          setDragging(true);
+        }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={(event) => {
+          event.preventDefault();
+          setDragging(false);
+          addFiles(event.dataTransfer.files);
+        }}
+      >
+        <input
+          type="file"
+          multiple
+          accept={PROOF_ACCEPT}
+          onChange={(event) => {
+            const files = [...event.target.files];
+            event.target.value = '';
+            addFiles(files);
+          }}
+        />
+        <strong>Drop receipts here or click to choose files</strong>
+        <span className="muted">
+          PDF, JPG and PNG. Files are matched to employees by name or ID in the file name and by the name and net pay
+          in the PDF text.
+        </span>
+      </label>
+
+      {busy ? <p className="muted">Reading files...</p> : null}
+      {unassigned ? <p className="muted error-text">{unassigned} files still need an employee.</p> : null}
+
+      {rows.length ? (
+        <div className="table-wrap">
+          <table>
+            <thead>
+              <tr>
+                <th>File</th>
+                <th>Employee</th>
+                <th>Match</th>
+                <th>Found in PDF</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row) => {
+                const employee = employees.find((item) => item.id === row.employeeId);
+                const fields = employee && row.text !== null ? extractProofFields(row.text || '', employee.name) : null;
+                const sameBatch = row.error ? [] : batchDuplicates(row);
+
+                return (
+                  <tr key={row.key}>
+                    <td>
+                      {row.file.name}
+                      <small className="muted"> ({formatBytes(row.file.size)})</small>
+                    </td>
+                    <td>
+                      {row.error ? (
+                        <span className="error-text">{row.error}</span>
+                      ) : (
+                        <select
+                          value={row.employeeId}
+                          onChange={(event) => updateRow(row.key, { employeeId: event.target.value })}
+                        >
+                          <option value="">Skip this file</option>
+                          {employees.map((item) => (
+                            <option key={item.id} value={item.id}>
+                              {item.name}
+                            </option>
+                          ))}
+                        </select>
+                      )}
+                    </td>
+                    <td>
+                      {row.reasons?.join(', ')}
+                      {row.duplicates?.length ? (
+                        <small className="proof-warning">
+                          Already attached to {row.duplicates.map(describeProof).join(', ')}
+                        </small>
+                      ) : null}
+                      {sameBatch.length ? (
+                        <small className="proof-warning">
+                          Same file as {sameBatch.map((other) => other.file.name).join(', ')}
+                        </small>
+                      ) : null}
+                    </td>
+                    <td>
+                      {fields
+                        ? [
+                            fields.amount === null ? '' : formatCurrency(fields.amount, employee.currency),
+                            fields.date
+                          ]
+                            .filter(Boolean)
+                            .join(' · ') || '—'
+                        : '—'}
+                    </td>
+                    <td>
+                      <button
+                        type="button"
+                        className="btn-chip danger"
+                        onClick={() => setRows((prev) => prev.filter((item) => item.key !== row.key))}
+                      >
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      ) : null}
+    </section>
+  );
+}
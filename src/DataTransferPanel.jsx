@@ -0,0 +1,58 @@
+import { useState } from 'react';
+import { SCHEMA_VERSION } from './schema.js';
+
+export default function DataTransferPanel({ sources, onImport, onDismiss }) {
+  const [busyKey, setBusyKey] = useState('');
+  const [error, setError] = useState('');
+
+  async function handleImport(source) {
+    setBusyKey(source.key);
+    setError('');
+    try {
+      await onImport(source);
+    } catch (importError) {
+      setError(importError.message || 'Import failed.');
+    } finally {
+      setBusyKey('');
+    }
+  }
+
+  return (
+    <section className="panel import-panel">
+      <div className="editor-heading">
+        <h2>Data Found in This Browser</h2>
+      </div>
+      <p className="muted">
+        Merging adds these employees, records, proofs and audit entries to the signed-in workspace. Existing records
+        are kept; nothing is overwritten.
+      </p>
+      {sources.map((source) => (
+        <div className="proof-item" key={source.key}>
+          <span>
+            <strong>{source.label}</strong>
+            <span className="muted">
+              {' '}
+              · {source.employees} employees · {source.months} months · {source.proofs} proofs
+              {source.lastActivity ? ` · last change ${new Date(source.lastActivity).toLocaleString()}` : ''}
+              {source.version < SCHEMA_VERSION ? ` · schema v${source.version}, upgraded on import` : ''}
+            </span>
+          </span>
+          <span>
+            <button
+              type="button"
+              className="btn-chip"
+              disabled={Boolean(busyKey)}
+              onClick={() => handleImport(source)}
+            >
+              {busyKey === source.key ? 'Merging...' : 'Merge'}
+            </button>{' '}
+            <button type="button" className="btn-chip" disabled={Boolean(busyKey)} onClick={() => onDismiss(source)}>
+              Dismiss
+            </button>
+          </span>
+        </div>
+      ))}
+      {error ? <p className="muted error-text">{error}</p> : null}
+    </section>
+  );
+}
@@ -0,0 +1,282 @@
+import { useState } from 'react';
+import { ACCOUNT_TYPES, maskAccount, normalizeBank } from './bank.js';
+import { CURRENCIES } from './currency.js';
+import { isActiveInMonth, validateEmployee, withSalaryChange } from './employees.js';
+import { formatCurrency } from './format.js';
+import PayComponentList from './PayComponentList.jsx';
+import { DEFAULT_SCHEDULE_ID } from './schedules.js';
+
+export default function EmployeeEditor({
+  employee,
+  employees,
+  selectedMonth,
+  schedules,
+  departmentSchedules,
+  onSelect,
+  onSave,
+  onClose
+}) {
+  const [draft, setDraft] = useState(employee);
+  const [salaryChange, setSalaryChange] = useState({
+    effectiveFrom: selectedMonth,
+    salary: '',
+    currency: employee.currency
+  });
+  const [showBank, setShowBank] = useState(false);
+  const departmentSchedule = schedules.find(
+    (schedule) => schedule.id === (departmentSchedules[draft.department.trim()] || DEFAULT_SCHEDULE_ID)
+  );
+
+  function updateBank(patch) {
+    setDraft((prev) => ({ ...prev, bank: { ...prev.bank, ...patch } }));
+  }
+
+  function addSalaryChange() {
+    const salary = Number(salaryChange.salary);
+    if (!salaryChange.effectiveFrom || salaryChange.salary === '' || !Number.isFinite(salary) || salary < 0) {
+      window.alert('Please provide an effective month and a valid salary.');
+      return;
+    }
+
+    setDraft((prev) => withSalaryChange(prev, salaryChange.effectiveFrom, salary, salaryChange.currency));
+    setSalaryChange((prev) => ({ effectiveFrom: selectedMonth, salary: '', currency: prev.currency }));
+  }
+
+  function removeSalaryEntry(effectiveFrom) {
+    setDraft((prev) => {
+      const salaryHistory = prev.salaryHistory.filter((entry) => entry.effectiveFrom !== effectiveFrom);
+      return { ...prev, currency: salaryHistory[salaryHistory.length - 1].currency, salaryHistory };
+    });
+  }
+
+  function handleSubmit(event) {
+    event.preventDefault();
+    const next = {
+      ...draft,
+      name: draft.name.trim(),
+      department: draft.department.trim(),
+      bank: normalizeBank(draft.bank)
+    };
+    const error = validateEmployee(next);
+    if (error) {
+      window.alert(error);
+      return;
+    }
+    onSave(next);
+  }
+
+  function handleDeactivate() {
+    const today = new Date().toISOString().slice(0, 10);
+    setDraft((prev) => ({ ...prev, terminationDate: prev.terminationDate || today }));
+  }
+
+  return (
+    <form className="panel form-panel editor-panel" onSubmit={handleSubmit}>
+      <div className="editor-heading">
+        <h2>Edit Employee</h2>
+        <label>
+          Employee
+          <select value={employee.id} onChange={(event) => onSelect(event.target.value)}>
+            {employees.map((item) => (
+              <option key={item.id} value={item.id}>
+                {item.name}
+                {isActiveInMonth(item, selectedMonth) ? '' : ' (inactive)'}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="editor-grid">
+        <label>
+          Name
+          <input value={draft.name} onChange={(event) => setDraft((prev) => ({ ...prev, name: event.target.value }))} />
+        </label>
+        <label>
+          Department
+          <input
+            value={draft.department}
+            onChange={(event) => setDraft((prev) => ({ ...prev, department: event.target.value }))}
+          />
+        </label>
+        <label>
+          Hire Date
+          <input
+            type="date"
+            value={draft.hireDate}
+            onChange={(event) => setDraft((prev) => ({ ...prev, hireDate: event.target.value }))}
+          />
+        </label>
+        <label>
+          Termination Date
+          <input
+            type="date"
+            value={draft.terminationDate}
+            onChange={(event) => setDraft((prev) => ({ ...prev, terminationDate: event.target.value }))}
+          />
+        </label>
+        <label>
+          Pay Schedule
+          <select
+            value={draft.payScheduleId}
+            onChange={(event) => setDraft((prev) => ({ ...prev, payScheduleId: event.target.value }))}
+          >
+            <option value="">Department default ({departmentSchedule?.name || 'Monthly'})</option>
+            {schedules.map((schedule) => (
+              <option key={schedule.id} value={schedule.id}>
+                {schedule.name}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="salary-history">
+        <h3>Salary History</h3>
+        {draft.salaryHistory.map((entry) => (
+          <div className="proof-item" key={entry.effectiveFrom || 'initial'}>
+            <span>
+              {entry.effectiveFrom ? `From ${entry.effectiveFrom}` : 'Initial salary'}:{' '}
+              {formatCurrency(entry.salary, entry.currency)}
+            </span>
+            {draft.salaryHistory.length > 1 ? (
+              <button type="button" className="btn-chip danger" onClick={() => removeSalaryEntry(entry.effectiveFrom)}>
+                Remove
+              </button>
+            ) : null}
+          </div>
+        ))}
+        <div className="quick-row">
+          <label>
+            Effective Month
+            <input
+              type="month"
+              value={salaryChange.effectiveFrom}
+              onChange={(event) => setSalaryChange((prev) => ({ ...prev, effectiveFrom: event.target.value }))}
+            />
+          </label>
+          <label>
+            New Monthly Salary ({salaryChange.currency})
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={salaryChange.salary}
+              onChange={(event) => setSalaryChange((prev) => ({ ...prev, salary: event.target.value }))}
+            />
+          </label>
+          <label>
+            Currency
+            <select
+              value={salaryChange.currency}
+              onChange={(event) => setSalaryChange((prev) => ({ ...prev, currency: event.target.value }))}
+            >
+              {CURRENCIES.map((currency) => (
+                <option key={currency} value={currency}>
+                  {currency}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+        <button type="button" className="btn btn-soft" onClick={addSalaryChange}>
+          Add Salary Change
+        </button>
+      </div>
+
+      <div className="salary-history">
+        <div className="panel-tools">
+          <h3>Bank Details</h3>
+          <button type="button" className="btn-chip" onClick={() => setShowBank((prev) => !prev)}>
+            {showBank ? 'Hide numbers' : 'Show numbers'}
+          </button>
+        </div>
+        <p className="muted">
+          On file:{' '}
+          {[maskAccount(employee.bank.accountNumber), maskAccount(employee.bank.iban)].filter(Boolean).join(' · ') ||
+            'none'}
+          . Use the routing and account number for ACH payments, or the IBAN for SEPA payments.
+        </p>
+        <div className="editor-grid">
+          <label>
+            Account Holder
+            <input
+              value={draft.bank.accountName}
+              placeholder={draft.name}
+              onChange={(event) => updateBank({ accountName: event.target.value })}
+            />
+          </label>
+          <label>
+            Routing Number
+            <input
+              inputMode="numeric"
+              autoComplete="off"
+              value={draft.bank.routingNumber}
+              onChange={(event) => updateBank({ routingNumber: event.target.value })}
+            />
+          </label>
+          <label>
+            Account Number
+            <input
+              type={showBank ? 'text' : 'password'}
+              autoComplete="off"
+              value={draft.bank.accountNumber}
+              onChange={(event) => updateBank({ accountNumber: event.target.value })}
+            />
+          </label>
+          <label>
+            Account Type
+            <select
+              value={draft.bank.accountType}
+              onChange={(event) => updateBank({ accountType: event.target.value })}
+            >
+              {Object.entries(ACCOUNT_TYPES).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            IBAN
+            <input
+              type={showBank ? 'text' : 'password'}
+              autoComplete="off"
+              value={draft.bank.iban}
+              onChange={(event) => updateBank({ iban: event.target.value })}
+            />
+          </label>
+          <label>
+            BIC
+            <input value={draft.bank.bic} onChange={(event) => updateBank({ bic: event.target.value })} />
+          </label>
+        </div>
+      </div>
+
+      <PayComponentList
+        title="Recurring Pay Components"
+        components={draft.payComponents}
+        recurring
+        month={selectedMonth}
+        onChange={(payComponents) => setDraft((prev) => ({ ...prev, payComponents }))}
+      />
+
+      <div className="editor-actions">
+        <button
+          type="button"
+          className="btn btn-soft"
+          onClick={handleDeactivate}
+          disabled={Boolean(draft.terminationDate)}
+        >
+          Deactivate Today
+        </button>
+        <button type="button" className="btn btn-soft" onClick={onClose}>
+          Cancel
+        </button>
+        <button type="submit" className="btn btn-primary">
+          Save Changes
+        </button>
+      </div>
+    </form>
+  );
+}
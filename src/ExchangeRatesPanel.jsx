@@ -0,0 +1,129 @@
+import { useState } from 'react';
+import { CURRENCIES, parseRatesCsv, validateRates } from './currency.js';
+import { monthLabel } from './format.js';
+
+export default function ExchangeRatesPanel({
+  month,
+  baseCurrency,
+  rates,
+  currencies,
+  canEditRates,
+  canEditBase,
+  onSave,
+  onClose
+}) {
+  const [base, setBase] = useState(baseCurrency);
+  const [draft, setDraft] = useState(() =>
+    Object.fromEntries(
+      [...new Set([...currencies, ...Object.keys(rates.rates)])].map((currency) => [
+        currency,
+        rates.rates[currency] ? String(rates.rates[currency]) : ''
+      ])
+    )
+  );
+  const [importErrors, setImportErrors] = useState([]);
+  const quoted = canEditRates ? base : rates.base;
+
+  async function handleFile(file) {
+    if (!file) return;
+    const { rates: imported, errors } = parseRatesCsv(await file.text());
+    setImportErrors(errors);
+    setDraft((prev) => ({
+      ...prev,
+      ...Object.fromEntries(Object.entries(imported).map(([currency, rate]) => [currency, String(rate)]))
+    }));
+  }
+
+  function handleSave() {
+    const entered = Object.fromEntries(
+      Object.entries(draft)
+        .filter(([currency, rate]) => currency !== base && rate !== '')
+        .map(([currency, rate]) => [currency, Number(rate)])
+    );
+    const error = validateRates(entered);
+    if (error) {
+      window.alert(error);
+      return;
+    }
+    onSave({ baseCurrency: base, rates: entered });
+  }
+
+  return (
+    <section className="panel form-panel editor-panel">
+      <div className="editor-heading">
+        <h2>Exchange Rates · {monthLabel(month)}</h2>
+        <label>
+          Reporting Currency
+          <select value={base} disabled={!canEditBase} onChange={(event) => setBase(event.target.value)}>
+            {CURRENCIES.map((currency) => (
+              <option key={currency} value={currency}>
+                {currency}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {rates.base !== baseCurrency ? (
+        <p className="muted">
+          These rates were saved with {rates.base} as the reporting currency and have no {baseCurrency} rate to
+          convert them, so this month&apos;s totals stay in {rates.base}
+          {canEditRates ? ` until rates quoted in ${baseCurrency} are saved.` : '.'}
+        </p>
+      ) : null}
+
+      <div className="salary-history">
+        <h3>Rates for {monthLabel(month)}</h3>
+        {Object.keys(draft).filter((currency) => currency !== quoted).length === 0 && (
+          <span className="muted">Every employee is paid in {quoted}, so no rates are needed.</span>
+        )}
+        {Object.entries(draft)
+          .filter(([currency]) => currency !== quoted)
+          .map(([currency, rate]) => (
+            <label key={currency} className="rate-row">
+              1 {currency} =
+              <input
+                type="number"
+                min="0"
+                step="0.0001"
+                value={rate}
+                disabled={!canEditRates}
+                onChange={(event) => setDraft((prev) => ({ ...prev, [currency]: event.target.value }))}
+              />
+              {quoted}
+            </label>
+          ))}
+        {canEditRates ? (
+          <label className="upload-btn">
+            <input
+              type="file"
+              accept=".csv,text/csv"
+              onChange={async (event) => {
+                const file = event.target.files?.[0];
+                event.target.value = '';
+                await handleFile(file);
+              }}
+            />
+            Import rates CSV
+          </label>
+        ) : null}
+        {importErrors.map((error) => (
+          <p className="muted error-text" key={error}>
+            {error}
+          </p>
+        ))}
+      </div>
+
+      <div className="editor-actions">
+        <button type="button" className="btn btn-soft" onClick={onClose}>
+          Cancel
+        </button>
+        {canEditRates || canEditBase ? (
+          <button type="button" className="btn btn-primary" onClick={handleSave}>
+            Save Changes
+          </button>
+        ) : null}
+      </div>
+    </section>
+  );
+}
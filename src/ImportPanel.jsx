@@ -0,0 +1,185 @@
+import { useMemo, useState } from 'react';
+import { parseCsv } from './csv.js';
+import { monthLabel, periodLabel } from './format.js';
+import { IMPORT_FIELDS, guessMapping, planImport } from './importer.js';
+import { readXlsxRows } from './xlsx.js';
+
+const KIND_LABELS = {
+  new: 'New',
+  updated: 'Updated',
+  unchanged: 'Unchanged',
+  error: 'Error'
+};
+
+async function readRows(file) {
+  if (file.name.toLowerCase().endsWith('.xlsx')) {
+    return readXlsxRows(file);
+  }
+  return parseCsv(await file.text());
+}
+
+export default function ImportPanel({ employees, period, rosterIds, monthRecords, monthClosed, onApply, onClose }) {
+  const [fileName, setFileName] = useState('');
+  const [headers, setHeaders] = useState([]);
+  const [rows, setRows] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [error, setError] = useState('');
+
+  const plan = useMemo(() => {
+    if (!rows.length) return [];
+    return planImport(rows, mapping, { employees, period, rosterIds, monthRecords, allowPayments: !monthClosed });
+  }, [rows, mapping, employees, period, rosterIds, monthRecords, monthClosed]);
+
+  const counts = useMemo(() => {
+    const next = { new: 0, updated: 0, unchanged: 0, error: 0 };
+    for (const item of plan) next[item.kind] += 1;
+    return next;
+  }, [plan]);
+
+  const missingRequired = IMPORT_FIELDS.filter((field) => field.required && !(mapping[field.key] >= 0));
+
+  async function handleFile(file) {
+    if (!file) return;
+    setError('');
+
+    try {
+      const [headerRow = [], ...dataRows] = await readRows(file);
+      setFileName(file.name);
+      setHeaders(headerRow.map((header) => String(header).trim()));
+      setRows(dataRows);
+      setMapping(guessMapping(headerRow));
+    } catch (readError) {
+      setError(readError.message || 'Could not read the selected file.');
+      setHeaders([]);
+      setRows([]);
+    }
+  }
+
+  function handleApply() {
+    const applicable = plan.filter((item) => item.kind === 'new' || item.kind === 'updated');
+    if (!applicable.length) return;
+
+    const confirmed = window.confirm(
+      `Apply ${counts.new} new and ${counts.updated} updated employees from ${fileName}?` +
+        (counts.error ? ` ${counts.error} rows with errors will be skipped.` : '')
+    );
+    if (!confirmed) return;
+
+    onApply(applicable, fileName);
+    setFileName('');
+    setHeaders([]);
+    setRows([]);
+  }
+
+  return (
+    <section className="panel import-panel">
+      <div className="editor-heading">
+        <h2>Import Employees &amp; Payments</h2>
+        <div className="panel-tools">
+          <label className="upload-btn">
+            <input
+              type="file"
+              accept=".csv,text/csv,.xlsx,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+              onChange={async (event) => {
+                const file = event.target.files?.[0];
+                event.target.value = '';
+                await handleFile(file);
+              }}
+            />
+            Choose CSV or XLSX
+          </label>
+          <button type="button" className="btn btn-soft" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+
+      <p className="muted">
+        Use the same columns as the CSV export. Rows are matched to existing employees by name; salary changes take
+        effect from {monthLabel(period.month)} and payment columns update {periodLabel(period.key)}. New employees are
+        hired from the first day of {periodLabel(period.key)}.
+      </p>
+      {error ? <p className="muted error-text">{error}</p> : null}
+
+      {headers.length ? (
+        <>
+          <div className="editor-grid">
+            {IMPORT_FIELDS.map((field) => (
+              <label key={field.key}>
+                {field.label}
+                {field.required ? ' *' : ''}
+                <select
+                  value={mapping[field.key] ?? -1}
+                  onChange={(event) => setMapping((prev) => ({ ...prev, [field.key]: Number(event.target.value) }))}
+                >
+                  <option value={-1}>Not imported</option>
+                  {headers.map((header, index) => (
+                    <option key={`${header}-${index}`} value={index}>
+                      {header || `Column ${index + 1}`}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+
+          {missingRequired.length ? (
+            <p className="muted error-text">
+              Map the required columns: {missingRequired.map((field) => field.label).join(', ')}.
+            </p>
+          ) : (
+            <>
+              <div className="import-counts">
+                {Object.entries(KIND_LABELS).map(([kind, label]) => (
+                  <div key={kind} className={`pill import-${kind}`}>
+                    {label}: {counts[kind]}
+                  </div>
+                ))}
+              </div>
+
+              <div className="table-wrap">
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Row</th>
+                      <th>Employee</th>
+                      <th>Result</th>
+                      <th>Details</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {plan.map((item) => (
+                      <tr key={item.row}>
+                        <td>{item.row}</td>
+                        <td>{item.name || <span className="muted">(blank)</span>}</td>
+                        <td>
+                          <div className={`pill import-${item.kind}`}>{KIND_LABELS[item.kind]}</div>
+                        </td>
+                        <td>
+                          {item.kind === 'error' ? <span className="error-text">{item.errors.join(' ')}</span> : null}
+                          {item.kind === 'new' ? `${item.department}, ${item.salary}` : null}
+                          {item.kind === 'updated' ? item.changes.join('; ') : null}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <div className="editor-actions">
+                <button
+                  type="button"
+                  className="btn btn-primary"
+                  onClick={handleApply}
+                  disabled={!counts.new && !counts.updated}
+                >
+                  Apply Import
+                </button>
+              </div>
+            </>
+          )}
+        </>
+      ) : null}
+    </section>
+  );
+}
@@ -0,0 +1,72 @@
+import { useState } from 'react';
+import { formatCurrency, periodLabel } from './format.js';
+import { computePay, describeComponent } from './pay.js';
+import PayComponentList from './PayComponentList.jsx';
+
+export default function PayAdjustments({ employee, record, month, editable, onSave, onClose }) {
+  const [adjustments, setAdjustments] = useState(record?.adjustments || []);
+  const pay = computePay(employee, { ...record, adjustments }, month);
+
+  return (
+    <section className="panel form-panel editor-panel">
+      <div className="editor-heading">
+        <h2>
+          Pay for {employee.name} · {periodLabel(month)}
+        </h2>
+      </div>
+
+      <div className="pay-breakdown">
+        <div>
+          <span>Base salary</span>
+          <strong>{formatCurrency(pay.base, employee.currency)}</strong>
+        </div>
+        {pay.earnings.map((line) => (
+          <div key={line.id}>
+            <span>+ {describeComponent(line)}</span>
+            <strong>{formatCurrency(line.value, employee.currency)}</strong>
+          </div>
+        ))}
+        <div className="total">
+          <span>Gross pay</span>
+          <strong>{formatCurrency(pay.gross, employee.currency)}</strong>
+        </div>
+        {pay.deductions.map((line) => (
+          <div key={line.id}>
+            <span>− {describeComponent(line)}</span>
+            <strong>{formatCurrency(line.value, employee.currency)}</strong>
+          </div>
+        ))}
+        <div className="total">
+          <span>Net pay</span>
+          <strong>{formatCurrency(pay.net, employee.currency)}</strong>
+        </div>
+      </div>
+
+      {pay.deductions.some((line) => line.cappedFrom !== undefined) ? (
+        <p className="muted error-text">Deductions exceed gross pay, so they are capped and net pay stays at zero.</p>
+      ) : null}
+
+      {editable ? (
+        <PayComponentList
+          title="One-off Components This Period"
+          components={adjustments}
+          month={month}
+          onChange={setAdjustments}
+        />
+      ) : (
+        <p className="muted">One-off components can only be changed while the record is a draft in an open period.</p>
+      )}
+
+      <div className="editor-actions">
+        <button type="button" className="btn btn-soft" onClick={onClose}>
+          {editable ? 'Cancel' : 'Close'}
+        </button>
+        {editable ? (
+          <button type="button" className="btn btn-primary" onClick={() => onSave(adjustments)}>
+            Save Changes
+          </button>
+        ) : null}
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,128 @@
+import { useState } from 'react';
+import {
+  COMPONENT_BASES,
+  COMPONENT_KINDS,
+  COMPONENT_PRESETS,
+  describeComponent,
+  normalizeComponent,
+  validateComponent
+} from './pay.js';
+
+function emptyComponent(from) {
+  return { name: '', kind: 'earning', basis: 'fixed', amount: '', from, to: '' };
+}
+
+export default function PayComponentList({ title, components, recurring, month, onChange }) {
+  const [adding, setAdding] = useState(() => emptyComponent(recurring ? month : ''));
+
+  function addComponent() {
+    const component = normalizeComponent({ ...adding, id: crypto.randomUUID() });
+    const error = adding.amount === '' ? 'Please provide an amount.' : validateComponent(component);
+    if (error) {
+      window.alert(error);
+      return;
+    }
+
+    onChange([...components, component]);
+    setAdding(emptyComponent(recurring ? month : ''));
+  }
+
+  return (
+    <div className="salary-history">
+      <h3>{title}</h3>
+      {components.length === 0 && <span className="muted">None</span>}
+      {components.map((component) => (
+        <div className="proof-item" key={component.id}>
+          <span className={`pill ${component.kind}`}>{COMPONENT_KINDS[component.kind]}</span>
+          <span>
+            {describeComponent(component)}
+            {recurring && (component.from || component.to)
+              ? ` · ${component.from || 'start'} to ${component.to || 'ongoing'}`
+              : ''}
+          </span>
+          <button
+            type="button"
+            className="btn-chip danger"
+            onClick={() => onChange(components.filter((item) => item.id !== component.id))}
+          >
+            Remove
+          </button>
+        </div>
+      ))}
+      <div className="component-row">
+        <label>
+          Type
+          <select
+            value={adding.kind}
+            onChange={(event) => setAdding((prev) => ({ ...prev, kind: event.target.value }))}
+          >
+            {Object.entries(COMPONENT_KINDS).map(([kind, label]) => (
+              <option key={kind} value={kind}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Name
+          <input
+            list={`component-presets-${adding.kind}`}
+            value={adding.name}
+            onChange={(event) => setAdding((prev) => ({ ...prev, name: event.target.value }))}
+          />
+          <datalist id={`component-presets-${adding.kind}`}>
+            {COMPONENT_PRESETS[adding.kind].map((name) => (
+              <option key={name} value={name} />
+            ))}
+          </datalist>
+        </label>
+        <label>
+          Basis
+          <select
+            value={adding.basis}
+            onChange={(event) => setAdding((prev) => ({ ...prev, basis: event.target.value }))}
+          >
+            {Object.entries(COMPONENT_BASES).map(([basis, label]) => (
+              <option key={basis} value={basis}>
+                {basis === 'percent' ? `${label} of ${adding.kind === 'earning' ? 'base' : 'gross'}` : label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          {adding.basis === 'percent' ? 'Percent' : 'Amount'}
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            value={adding.amount}
+            onChange={(event) => setAdding((prev) => ({ ...prev, amount: event.target.value }))}
+          />
+        </label>
+        {recurring ? (
+          <>
+            <label>
+              From
+              <input
+                type="month"
+                value={adding.from}
+                onChange={(event) => setAdding((prev) => ({ ...prev, from: event.target.value }))}
+              />
+            </label>
+            <label>
+              Until
+              <input
+                type="month"
+                value={adding.to}
+                onChange={(event) => setAdding((prev) => ({ ...prev, to: event.target.value }))}
+              />
+            </label>
+          </>
+        ) : null}
+      </div>
+      <button type="button" className="btn btn-soft" onClick={addComponent}>
+        Add {recurring ? 'Recurring Component' : 'One-off Component'}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,187 @@
+import { useState } from 'react';
+import { DEFAULT_SCHEDULE_ID, FREQUENCIES, normalizeSchedules, validateSchedule } from './schedules.js';
+
+function emptySchedule() {
+  return { id: '', name: '', frequency: 'biweekly', anchorDate: '' };
+}
+
+export default function PaySchedulesPanel({
+  schedules,
+  departmentSchedules,
+  departments,
+  usedScheduleIds,
+  canEdit,
+  onSave,
+  onClose
+}) {
+  const [draft, setDraft] = useState(schedules);
+  const [assignments, setAssignments] = useState(departmentSchedules);
+  const [adding, setAdding] = useState(emptySchedule);
+
+  function addSchedule() {
+    const schedule = { ...adding, id: crypto.randomUUID().slice(0, 8), name: adding.name.trim() };
+    const error = validateSchedule(schedule, draft);
+    if (error) {
+      window.alert(error);
+      return;
+    }
+    setDraft((prev) => [...prev, schedule]);
+    setAdding(emptySchedule());
+  }
+
+  function rename(id, name) {
+    setDraft((prev) => prev.map((schedule) => (schedule.id === id ? { ...schedule, name } : schedule)));
+  }
+
+  function removeSchedule(id) {
+    setDraft((prev) => prev.filter((schedule) => schedule.id !== id));
+    setAssignments((prev) => Object.fromEntries(Object.entries(prev).filter(([, scheduleId]) => scheduleId !== id)));
+  }
+
+  function assign(department, scheduleId) {
+    setAssignments((prev) => {
+      const next = { ...prev, [department]: scheduleId };
+      if (scheduleId === DEFAULT_SCHEDULE_ID) delete next[department];
+      return next;
+    });
+  }
+
+  function save() {
+    for (const schedule of draft) {
+      const error = validateSchedule(schedule, draft);
+      if (error) {
+        window.alert(error);
+        return;
+      }
+    }
+    onSave(normalizeSchedules(draft), assignments);
+  }
+
+  return (
+    <section className="panel import-panel">
+      <div className="editor-heading">
+        <h2>Pay Schedules</h2>
+        <div className="panel-tools">
+          {canEdit ? (
+            <button type="button" className="btn btn-primary" onClick={save}>
+              Save Schedules
+            </button>
+          ) : null}
+          <button type="button" className="btn btn-soft" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+      <p className="muted">
+        Salaries are entered per month. Each pay period pays the monthly salary and fixed pay components scaled to the
+        period length, and rolls up into the calendar month its period ends in. Schedules that already have payroll
+        records cannot be removed.
+      </p>
+
+      <div className="table-wrap">
+        <table>
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Frequency</th>
+              <th>First Period Starts</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {draft.map((schedule) => (
+              <tr key={schedule.id}>
+                <td>
+                  {canEdit && schedule.id !== DEFAULT_SCHEDULE_ID ? (
+                    <input value={schedule.name} onChange={(event) => rename(schedule.id, event.target.value)} />
+                  ) : (
+                    schedule.name
+                  )}
+                </td>
+                <td>{FREQUENCIES[schedule.frequency]}</td>
+                <td>{schedule.anchorDate || '—'}</td>
+                <td>
+                  {canEdit && schedule.id !== DEFAULT_SCHEDULE_ID ? (
+                    <button
+                      type="button"
+                      className="btn-chip danger"
+                      disabled={usedScheduleIds.has(schedule.id)}
+                      title={usedScheduleIds.has(schedule.id) ? 'This schedule has payroll records or employees' : ''}
+                      onClick={() => removeSchedule(schedule.id)}
+                    >
+                      Remove
+                    </button>
+                  ) : null}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {canEdit ? (
+        <div className="quick-row">
+          <label>
+            Name
+            <input
+              value={adding.name}
+              placeholder="Hourly staff"
+              onChange={(event) => setAdding((prev) => ({ ...prev, name: event.target.value }))}
+            />
+          </label>
+          <label>
+            Frequency
+            <select
+              value={adding.frequency}
+              onChange={(event) => setAdding((prev) => ({ ...prev, frequency: event.target.value }))}
+            >
+              {Object.entries(FREQUENCIES)
+                .filter(([value]) => value !== 'monthly')
+                .map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+            </select>
+          </label>
+          {adding.frequency === 'semimonthly' ? null : (
+            <label>
+              First Period Starts
+              <input
+                type="date"
+                value={adding.anchorDate}
+                onChange={(event) => setAdding((prev) => ({ ...prev, anchorDate: event.target.value }))}
+              />
+            </label>
+          )}
+          <button type="button" className="btn btn-soft" onClick={addSchedule}>
+            Add Schedule
+          </button>
+        </div>
+      ) : null}
+
+      <div className="salary-history">
+        <h3>Department Schedules</h3>
+        <p className="muted">Employees follow their department&apos;s schedule unless their profile picks another.</p>
+        <div className="editor-grid">
+          {departments.map((department) => (
+            <label key={department}>
+              {department}
+              <select
+                value={assignments[department] || DEFAULT_SCHEDULE_ID}
+                disabled={!canEdit}
+                onChange={(event) => assign(department, event.target.value)}
+              >
+                {draft.map((schedule) => (
+                  <option key={schedule.id} value={schedule.id}>
+                    {schedule.name}
+                  </option>
+                ))}
+              </select>
+            </label>
+          ))}
+        </div>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,159 @@
+import { useState } from 'react';
+import { periodLabel } from './format.js';
+import { normalizeHolidays, PAYDAY_RULES, PAYDAY_SHIFTS, paydayFor, validatePayday } from './paydays.js';
+
+export default function PaydayPanel({ payday, period, canEdit, onSave, onClose }) {
+  const [draft, setDraft] = useState(payday);
+  const [holiday, setHoliday] = useState({ date: '', name: '' });
+  const error = validatePayday(draft);
+
+  function update(changes) {
+    setDraft((prev) => ({ ...prev, ...changes }));
+  }
+
+  function addHoliday() {
+    if (!holiday.date) {
+      window.alert('Pick a date for the holiday.');
+      return;
+    }
+    update({ holidays: normalizeHolidays([...draft.holidays, holiday]) });
+    setHoliday({ date: '', name: '' });
+  }
+
+  function save() {
+    if (error) {
+      window.alert(error);
+      return;
+    }
+    onSave(draft);
+  }
+
+  return (
+    <section className="panel import-panel">
+      <div className="editor-heading">
+        <h2>Payday &amp; Holidays</h2>
+        <div className="panel-tools">
+          {canEdit ? (
+            <button type="button" className="btn btn-primary" onClick={save}>
+              Save
+            </button>
+          ) : null}
+          <button type="button" className="btn btn-soft" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+      <p className="muted">
+        Monthly payroll is due on the payday below. Weekly, biweekly and semi-monthly periods are due on their last
+        day. Paydays that land on a weekend or holiday move to a business day.
+      </p>
+
+      <div className="editor-grid">
+        <label>
+          Payday Rule
+          <select value={draft.rule} disabled={!canEdit} onChange={(event) => update({ rule: event.target.value })}>
+            {Object.entries(PAYDAY_RULES).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        {draft.rule === 'fixedDay' ? (
+          <>
+            <label>
+              Day of Month
+              <input
+                type="number"
+                min="1"
+                max="31"
+                value={draft.day}
+                disabled={!canEdit}
+                onChange={(event) => update({ day: Number(event.target.value) })}
+              />
+            </label>
+            <label>
+              On a Weekend or Holiday
+              <select
+                value={draft.shift}
+                disabled={!canEdit}
+                onChange={(event) => update({ shift: event.target.value })}
+              >
+                {Object.entries(PAYDAY_SHIFTS).map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </>
+        ) : null}
+        <label>
+          Remind Days Before
+          <input
+            type="number"
+            min="0"
+            max="14"
+            value={draft.reminderDays}
+            disabled={!canEdit}
+            onChange={(event) => update({ reminderDays: Number(event.target.value) })}
+          />
+        </label>
+      </div>
+      <p className="muted">
+        {error ? (
+          <span className="error-text">{error}</span>
+        ) : (
+          `Payday for ${periodLabel(period.key)}: ${paydayFor(period, draft)}`
+        )}
+      </p>
+
+      <div className="salary-history">
+        <h3>Holiday Calendar</h3>
+        {draft.holidays.length ? (
+          draft.holidays.map((item) => (
+            <div className="proof-item" key={item.date}>
+              <span>
+                {item.date} · {item.name}
+              </span>
+              {canEdit ? (
+                <button
+                  type="button"
+                  className="btn-chip danger"
+                  onClick={() => update({ holidays: draft.holidays.filter((entry) => entry.date !== item.date) })}
+                >
+                  Remove
+                </button>
+              ) : null}
+            </div>
+          ))
+        ) : (
+          <p className="muted">No holidays yet. Weekends are always skipped.</p>
+        )}
+        {canEdit ? (
+          <div className="quick-row">
+            <label>
+              Date
+              <input
+                type="date"
+                value={holiday.date}
+                onChange={(event) => setHoliday((prev) => ({ ...prev, date: event.target.value }))}
+              />
+            </label>
+            <label>
+              Name
+              <input
+                value={holiday.name}
+                placeholder="New Year's Day"
+                onChange={(event) => setHoliday((prev) => ({ ...prev, name: event.target.value }))}
+              />
+            </label>
+            <button type="button" className="btn btn-soft" onClick={addHoliday}>
+              Add Holiday
+            </button>
+          </div>
+        ) : null}
+      </div>
+    </section>
+  );
+}
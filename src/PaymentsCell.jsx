@@ -0,0 +1,128 @@
+import { useState } from 'react';
+import { formatCurrency } from './format.js';
+import { deadlineLabel } from './paydays.js';
+import {
+  canRecordPayments,
+  outstandingAmount,
+  PAYMENT_METHODS,
+  PAYMENT_STATUSES,
+  paymentStatus
+} from './payments.js';
+
+function emptyDraft(amount) {
+  return {
+    amount: amount > 0 ? String(amount) : '',
+    date: new Date().toISOString().slice(0, 10),
+    method: PAYMENT_METHODS[0],
+    proofId: ''
+  };
+}
+
+export default function PaymentsCell({ record, due, deadline, currency, canEdit, onAdd, onRemove, onPayBalance }) {
+  const [draft, setDraft] = useState(null);
+  const payments = record.payments || [];
+  const proofs = record.proofs || [];
+  const status = paymentStatus(record, due);
+  const outstanding = outstandingAmount(record, due);
+  const editable = canEdit && canRecordPayments(record);
+
+  function handleSubmit(event) {
+    event.preventDefault();
+    const amount = Number(draft.amount);
+    if (!Number.isFinite(amount) || amount <= 0 || !draft.date) {
+      window.alert('Please provide a positive amount and a payment date.');
+      return;
+    }
+    onAdd({ id: crypto.randomUUID(), amount, date: draft.date, method: draft.method, proofId: draft.proofId });
+    setDraft(null);
+  }
+
+  return (
+    <div className="payments">
+      <div className={`pill ${status}`}>{PAYMENT_STATUSES[status]}</div>
+      {deadline ? (
+        <small className={`deadline ${deadline.state}`}>{deadlineLabel(deadline)}</small>
+      ) : null}
+      {payments.map((payment) => (
+        <div className="proof-item" key={payment.id}>
+          <span>
+            {formatCurrency(payment.amount, currency)} on {payment.date || '—'} · {payment.method}
+            {payment.proofId
+              ? ` · ${proofs.find((proof) => proof.id === payment.proofId)?.fileName || 'missing proof'}`
+              : ''}
+            {payment.batchFile ? ` · ${payment.batchFile}` : ''}
+          </span>
+          {editable ? (
+            <button type="button" className="btn-chip danger" onClick={() => onRemove(payment.id)}>
+              Remove
+            </button>
+          ) : null}
+        </div>
+      ))}
+      {outstanding > 0 && payments.length ? (
+        <small className="muted">Outstanding {formatCurrency(outstanding, currency)}</small>
+      ) : null}
+      {outstanding < 0 ? <small className="muted">Overpaid by {formatCurrency(-outstanding, currency)}</small> : null}
+      {editable && !draft ? (
+        <div className="proof-item">
+          {outstanding > 0 ? (
+            <button type="button" className="btn-chip" onClick={onPayBalance}>
+              Pay balance
+            </button>
+          ) : null}
+          <button type="button" className="btn-chip" onClick={() => setDraft(emptyDraft(outstanding))}>
+            Add payment
+          </button>
+        </div>
+      ) : null}
+      {draft ? (
+        <form className="payment-form" onSubmit={handleSubmit}>
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            value={draft.amount}
+            onChange={(event) => setDraft((prev) => ({ ...prev, amount: event.target.value }))}
+            placeholder="Amount"
+            required
+          />
+          <input
+            type="date"
+            value={draft.date}
+            onChange={(event) => setDraft((prev) => ({ ...prev, date: event.target.value }))}
+            required
+          />
+          <select
+            value={draft.method}
+            onChange={(event) => setDraft((prev) => ({ ...prev, method: event.target.value }))}
+          >
+            {PAYMENT_METHODS.map((method) => (
+              <option key={method} value={method}>
+                {method}
+              </option>
+            ))}
+          </select>
+          <select
+            value={draft.proofId}
+            onChange={(event) => setDraft((prev) => ({ ...prev, proofId: event.target.value }))}
+          >
+            <option value="">No linked proof</option>
+            {proofs.map((proof) => (
+              <option key={proof.id} value={proof.id}>
+                {proof.fileName}
+              </option>
+            ))}
+          </select>
+          <div className="proof-item">
+            <button type="submit" className="btn-chip">
+              Save
+            </button>
+            <button type="button" className="btn-chip" onClick={() => setDraft(null)}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,156 @@
+import { useMemo, useRef, useState } from 'react';
+import { downloadFile } from './csv.js';
+import { formatCurrency, periodLabel } from './format.js';
+import { normalizeBranding, payslipData, payslipFileName, payslipHtml, payslipPdf } from './payslips.js';
+
+export default function PayslipPanel({
+  employee,
+  record,
+  month,
+  branding,
+  canIssue,
+  canEditBranding,
+  onIssue,
+  onSaveBranding,
+  onClose
+}) {
+  const frameRef = useRef(null);
+  const [issuedAt] = useState(() => new Date().toISOString());
+  const [draft, setDraft] = useState(branding);
+  const [editingBranding, setEditingBranding] = useState(false);
+
+  const data = useMemo(() => payslipData(employee, record, month, issuedAt), [employee, record, month, issuedAt]);
+  const preview = editingBranding ? normalizeBranding(draft) : branding;
+  const html = useMemo(() => payslipHtml(data, preview), [data, preview]);
+  const issued = record?.payslips || [];
+
+  function issue() {
+    if (canIssue) onIssue([employee.id], issuedAt);
+  }
+
+  function print() {
+    frameRef.current?.contentWindow?.print();
+    issue();
+  }
+
+  function downloadPdf() {
+    downloadFile(payslipPdf(data, branding), payslipFileName(data, 'pdf'), 'application/pdf');
+    issue();
+  }
+
+  function saveBranding() {
+    const next = normalizeBranding(draft);
+    onSaveBranding(next);
+    setDraft(next);
+    setEditingBranding(false);
+  }
+
+  const field = (key, label) => (
+    <label>
+      {label}
+      <input value={draft[key]} onChange={(event) => setDraft((prev) => ({ ...prev, [key]: event.target.value }))} />
+    </label>
+  );
+
+  return (
+    <section className="panel form-panel editor-panel">
+      <div className="editor-heading">
+        <h2>
+          Payslip for {employee.name} · {periodLabel(month)}
+        </h2>
+        <div className="panel-tools">
+          <button type="button" className="btn btn-soft" onClick={print}>
+            Print
+          </button>
+          <button type="button" className="btn btn-primary" onClick={downloadPdf}>
+            Download PDF
+          </button>
+          <button type="button" className="btn btn-soft" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+
+      <div className="salary-history">
+        <div className="panel-tools">
+          <h3>Company Branding</h3>
+          {canEditBranding && !editingBranding ? (
+            <button type="button" className="btn-chip" onClick={() => setEditingBranding(true)}>
+              Edit
+            </button>
+          ) : null}
+        </div>
+        {editingBranding ? (
+          <>
+            <div className="editor-grid">
+              {field('companyName', 'Company Name')}
+              <label>
+                Accent Color
+                <input
+                  type="color"
+                  value={normalizeBranding(draft).accentColor}
+                  onChange={(event) => setDraft((prev) => ({ ...prev, accentColor: event.target.value }))}
+                />
+              </label>
+              <label>
+                Address
+                <textarea
+                  rows={3}
+                  value={draft.address}
+                  onChange={(event) => setDraft((prev) => ({ ...prev, address: event.target.value }))}
+                />
+              </label>
+              <label>
+                Footer
+                <textarea
+                  rows={3}
+                  value={draft.footer}
+                  onChange={(event) => setDraft((prev) => ({ ...prev, footer: event.target.value }))}
+                />
+              </label>
+            </div>
+            <div className="editor-actions">
+              <button
+                type="button"
+                className="btn btn-soft"
+                onClick={() => {
+                  setDraft(branding);
+                  setEditingBranding(false);
+                }}
+              >
+                Cancel
+              </button>
+              <button type="button" className="btn btn-primary" onClick={saveBranding}>
+                Save Branding
+              </button>
+            </div>
+          </>
+        ) : (
+          <p className="muted">
+            {branding.companyName || 'No company name'}
+            {branding.address ? ` · ${branding.address.split('\n')[0]}` : ''}
+            {canEditBranding ? '' : ' · Ask an admin to change the payslip branding.'}
+          </p>
+        )}
+      </div>
+
+      <iframe ref={frameRef} className="payslip-frame" title={`Payslip ${data.number}`} srcDoc={html} />
+
+      <div className="salary-history">
+        <h3>Issued Payslips</h3>
+        {issued.length === 0 ? (
+          <p className="muted">Not issued yet. Printing or downloading the payslip issues it.</p>
+        ) : null}
+        {issued.map((slip) => (
+          <div className="proof-item" key={slip.id}>
+            <strong>{slip.number}</strong>
+            <span className="muted">
+              {new Date(slip.issuedAt).toLocaleString()} by {slip.issuedBy} · Net{' '}
+              {formatCurrency(slip.net, slip.currency)}
+            </span>
+          </div>
+        ))}
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,53 @@
+import { currentPeriodKey, periodRange, periodsInYear, shiftPeriod } from './schedules.js';
+
+export default function PeriodPicker({ schedules, period, onChange }) {
+  const known = schedules.some((schedule) => schedule.id === period.schedule.id);
+  const periods = known ? periodsInYear(period.schedule, Number(period.end.slice(0, 4))) : [period];
+
+  function changeSchedule(id) {
+    const schedule = schedules.find((item) => item.id === id);
+    if (schedule) onChange(currentPeriodKey(schedule));
+  }
+
+  return (
+    <div className="quick-row">
+      <label>
+        Pay Schedule
+        <select value={period.schedule.id} onChange={(event) => changeSchedule(event.target.value)}>
+          {schedules.map((schedule) => (
+            <option key={schedule.id} value={schedule.id}>
+              {schedule.name}
+            </option>
+          ))}
+          {known ? null : <option value={period.schedule.id}>{period.schedule.name}</option>}
+        </select>
+      </label>
+      <label>
+        Pay Period
+        <select value={period.key} onChange={(event) => onChange(event.target.value)}>
+          {periods.map((item) => (
+            <option key={item.key} value={item.key}>
+              {periodRange(item)}
+            </option>
+          ))}
+        </select>
+      </label>
+      <button
+        type="button"
+        className="btn btn-soft"
+        disabled={!known}
+        onClick={() => onChange(shiftPeriod(schedules, period.key, -1))}
+      >
+        Previous
+      </button>
+      <button
+        type="button"
+        className="btn btn-soft"
+        disabled={!known}
+        onClick={() => onChange(shiftPeriod(schedules, period.key, 1))}
+      >
+        Next
+      </button>
+    </div>
+  );
+}
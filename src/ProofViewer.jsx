@@ -0,0 +1,226 @@
+import { useEffect, useRef, useState } from 'react';
+import { formatBytes, formatCurrency } from './format.js';
+import { sha256Hex } from './hash.js';
+import { openPdf, pdfText, renderPage } from './pdf.js';
+import { expectedProofValues, extractProofFields, proofIntegrity, proofWarnings } from './proofCheck.js';
+import { isPdfProof } from './proofFiles.js';
+
+const INTEGRITY_LABELS = {
+  verified: 'Checksum verified',
+  changed: 'File changed since upload',
+  unrecorded: 'No checksum recorded at upload'
+};
+
+function PdfPage({ pdf, number, width }) {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    let task = null;
+
+    pdf
+      .getPage(number)
+      .then((page) => {
+        if (cancelled) return null;
+        task = renderPage(page, canvasRef.current, width);
+        return task.promise;
+      })
+      .catch(() => {});
+
+    return () => {
+      cancelled = true;
+      task?.cancel();
+    };
+  }, [pdf, number, width]);
+
+  return <canvas ref={canvasRef} />;
+}
+
+export default function ProofViewer({
+  employee,
+  record,
+  pay,
+  proof,
+  duplicates,
+  describeProof,
+  loadProof,
+  onScanned,
+  onClose
+}) {
+  const [pdf, setPdf] = useState(null);
+  const [page, setPage] = useState(1);
+  const [blob, setBlob] = useState(null);
+  const [scanned, setScanned] = useState(null);
+  const [integrity, setIntegrity] = useState('');
+  const [imageUrl, setImageUrl] = useState('');
+  const isPdf = isPdfProof(proof);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    let opened = null;
+    let url = '';
+
+    (async () => {
+      const file = await loadProof(proof.id);
+      if (!file) throw new Error('Proof file not found in storage.');
+      const sha256 = await sha256Hex(file);
+      if (cancelled) return;
+      setBlob(file);
+      setIntegrity(proofIntegrity(proof, sha256));
+
+      const scan = proof.sha256 ? {} : { sha256 };
+      if (!isPdf) {
+        url = URL.createObjectURL(file);
+        setImageUrl(url);
+        if (Object.keys(scan).length) onScanned?.(scan);
+        return;
+      }
+
+      opened = await openPdf(file);
+      if (cancelled) return;
+      setPdf(opened);
+
+      if (!proof.extracted) {
+        scan.extracted = extractProofFields(await pdfText(opened), employee.name);
+        if (cancelled) return;
+        setScanned(scan.extracted);
+      }
+      if (Object.keys(scan).length) onScanned?.(scan);
+    })().catch((loadError) => {
+      if (!cancelled) setError(loadError.message || 'Could not open this PDF.');
+    });
+
+    return () => {
+      cancelled = true;
+      opened?.destroy();
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [proof.id]);
+
+  const extracted = proof.extracted || scanned;
+  const expected = expectedProofValues(employee, record, pay, proof.id);
+  const warnings = proofWarnings({ ...proof, extracted }, expected);
+
+  function openInTab() {
+    const url = URL.createObjectURL(blob);
+    window.open(url, '_blank', 'noopener');
+    setTimeout(() => URL.revokeObjectURL(url), 12000);
+  }
+
+  return (
+    <section className="panel form-panel editor-panel proof-viewer">
+      <div className="editor-heading">
+        <h2>
+          {proof.fileName} · {employee.name}
+        </h2>
+        <p className="muted">{formatBytes(proof.fileSize)}</p>
+      </div>
+
+      {error ? <p className="muted error-text">{error}</p> : null}
+      {integrity ? (
+        <p className={`pill ${integrity === 'verified' ? 'paid' : 'unpaid'}`} title={proof.sha256 || ''}>
+          {INTEGRITY_LABELS[integrity]}
+        </p>
+      ) : null}
+      {integrity === 'changed' ? (
+        <p className="muted error-text">
+          The stored file no longer matches the SHA-256 checksum recorded when it was uploaded.
+        </p>
+      ) : null}
+      {duplicates.length ? (
+        <p className="muted error-text">
+          The same file is also attached to {duplicates.map(describeProof).join(', ')}.
+        </p>
+      ) : null}
+
+      <div className="proof-viewer-body">
+        {pdf ? (
+          <div className="proof-thumbs">
+            {Array.from({ length: pdf.numPages }, (_, index) => index + 1).map((number) => (
+              <button
+                key={number}
+                type="button"
+                className={`proof-thumb ${number === page ? 'active' : ''}`}
+                onClick={() => setPage(number)}
+              >
+                <PdfPage pdf={pdf} number={number} width={96} />
+                <small>{number}</small>
+              </button>
+            ))}
+          </div>
+        ) : null}
+
+        <div className="proof-page">
+          {imageUrl ? <img src={imageUrl} alt={proof.fileName} /> : null}
+          {pdf ? <PdfPage pdf={pdf} number={page} width={640} /> : null}
+          {!pdf && !imageUrl && !error ? <p className="muted">Loading file…</p> : null}
+        </div>
+
+        <div className="proof-details">
+          <h3>Extracted from PDF</h3>
+          {!isPdf ? <p className="muted">Image receipts are not scanned for text.</p> : null}
+          {!isPdf ? null : extracted ? (
+            <div className="pay-breakdown">
+              <div>
+                <span>Amount</span>
+                <strong>
+                  {extracted.amount === null ? '—' : formatCurrency(extracted.amount, employee.currency)}
+                </strong>
+              </div>
+              <div>
+                <span>Date</span>
+                <strong>{extracted.date || '—'}</strong>
+              </div>
+              <div>
+                <span>Payee</span>
+                <strong>{extracted.payee || '—'}</strong>
+              </div>
+            </div>
+          ) : (
+            <p className="muted">{error ? 'No text could be read.' : 'Reading text…'}</p>
+          )}
+
+          <h3>Expected</h3>
+          <div className="pay-breakdown">
+            <div>
+              <span>Amount</span>
+              <strong>
+                {expected.amounts
+                  .filter((amount) => amount > 0)
+                  .map((amount) => formatCurrency(amount, employee.currency))
+                  .join(' or ') || '—'}
+              </strong>
+            </div>
+            <div>
+              <span>Date</span>
+              <strong>{expected.dates.join(' or ') || '—'}</strong>
+            </div>
+            <div>
+              <span>Payee</span>
+              <strong>{expected.name}</strong>
+            </div>
+          </div>
+
+          {extracted && warnings.length === 0 ? <p className="pill paid">Proof matches the payment</p> : null}
+          {warnings.length ? (
+            <ul className="proof-warnings">
+              {warnings.map((warning) => (
+                <li key={warning}>{warning}</li>
+              ))}
+            </ul>
+          ) : null}
+        </div>
+      </div>
+
+      <div className="editor-actions">
+        <button type="button" className="btn btn-soft" onClick={onClose}>
+          Close
+        </button>
+        <button type="button" className="btn btn-soft" disabled={!blob} onClick={openInTab}>
+          Open in New Tab
+        </button>
+      </div>
+    </section>
+  );
+}
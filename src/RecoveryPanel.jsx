@@ -0,0 +1,49 @@
+import { downloadFile } from './csv.js';
+
+export default function RecoveryPanel({ error, canDiscard, onDiscard }) {
+  const newer = error.code === 'state/newer';
+
+  function downloadRaw() {
+    const content = typeof error.raw === 'string' ? error.raw : JSON.stringify(error.raw, null, 2);
+    downloadFile(content, `payroll-data-${new Date().toISOString().slice(0, 10)}.json`, 'application/json');
+  }
+
+  function discard() {
+    if (
+      !window.confirm(
+        'Start over with an empty workspace? The damaged data is set aside in this browser and can still be ' +
+          'downloaded first.'
+      )
+    ) {
+      return;
+    }
+    onDiscard();
+  }
+
+  return (
+    <section className="panel hero">
+      <p className="kicker">{newer ? 'Update Needed' : 'Data Recovery'}</p>
+      <h1>{newer ? 'Saved data is from a newer version' : 'Saved payroll data is damaged'}</h1>
+      <p className="muted error-text">{error.message}</p>
+      <p>
+        {newer
+          ? 'Nothing has been changed. Reload the page to load the latest version of the dashboard.'
+          : 'Nothing has been replaced. Download a copy of the saved data to keep it, then start over and restore ' +
+            'your latest backup from Backup & Restore.'}
+      </p>
+      <div className="quick-row actions">
+        <button type="button" className="btn btn-soft" onClick={downloadRaw}>
+          Download Saved Data
+        </button>
+        <button type="button" className="btn btn-soft" onClick={() => window.location.reload()}>
+          Reload
+        </button>
+        {canDiscard && !newer ? (
+          <button type="button" className="btn btn-danger" onClick={discard}>
+            Start Over
+          </button>
+        ) : null}
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,306 @@
+import { useMemo, useState } from 'react';
+import { downloadCsv } from './csv.js';
+import { formatCurrency, monthLabel } from './format.js';
+import { buildReports, reportYears } from './reports.js';
+
+function BarChart({ items, format, max }) {
+  const top = max ?? Math.max(0, ...items.map((item) => item.value ?? 0));
+
+  return (
+    <div className="bar-chart">
+      {items.map((item) => (
+        <div className="bar-column" key={item.label} title={`${item.label}: ${format(item.value)}`}>
+          <div className="bar-track">
+            <div className="bar" style={{ height: `${top ? ((item.value ?? 0) / top) * 100 : 0}%` }} />
+          </div>
+          <small>{item.label}</small>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function formatRate(value) {
+  return value === null ? '—' : `${value}%`;
+}
+
+function shortMonth(month) {
+  return monthLabel(month).split(' ')[0].slice(0, 3);
+}
+
+export default function ReportsPanel({ state }) {
+  const years = reportYears(state);
+  const [year, setYear] = useState(years[0] || state.selectedPeriod.slice(0, 4));
+  const report = useMemo(() => buildReports(state, year), [state, year]);
+  const money = (value) => formatCurrency(value, report.baseCurrency);
+  const topDepartment = report.departments[0]?.net || 0;
+
+  function exportTrend() {
+    downloadCsv(
+      [
+        [
+          'Month',
+          'Currency',
+          'Headcount',
+          'Gross',
+          'Deductions',
+          'Net',
+          'Paid',
+          'Fully Paid',
+          'On-time Rate %',
+          'Proof Coverage %'
+        ],
+        ...report.trend.map((row) => [
+          row.month,
+          row.base,
+          row.headcount,
+          row.gross,
+          row.deductions,
+          row.net,
+          row.paid,
+          row.paidCount,
+          row.onTimeRate ?? '',
+          row.proofCoverage ?? ''
+        ])
+      ],
+      `payroll-trend-${year}.csv`
+    );
+  }
+
+  function exportDepartments() {
+    downloadCsv(
+      [
+        ['Department', 'Employees', 'Gross', 'Deductions', 'Net', 'Paid', ...report.months],
+        ...report.departments.map((row) => [
+          row.department,
+          row.employees,
+          row.gross,
+          row.deductions,
+          row.net,
+          row.paid,
+          ...report.months.map((month) => row.byMonth[month] ?? 0)
+        ])
+      ],
+      `payroll-departments-${year}.csv`
+    );
+  }
+
+  function exportYtd() {
+    downloadCsv(
+      [
+        [
+          'Employee',
+          'Department',
+          'Currency',
+          'Months',
+          'Gross',
+          'Deductions',
+          'Net',
+          'Paid',
+          `Net (${report.baseCurrency})`
+        ],
+        ...report.ytd.map((row) => [
+          row.name,
+          row.department,
+          row.currency,
+          row.months,
+          row.gross,
+          row.deductions,
+          row.net,
+          row.paid,
+          row.netBase
+        ])
+      ],
+      `payroll-ytd-${year}.csv`
+    );
+  }
+
+  return (
+    <section className="reports">
+      <div className="panel reports-heading">
+        <div>
+          <h2>Payroll Reports</h2>
+          <p className="muted">
+            Figures across every recorded month of {year}, converted to {report.baseCurrency} with each month&apos;s
+            stored exchange rates.
+          </p>
+        </div>
+        <label>
+          Year
+          <select value={year} onChange={(event) => setYear(event.target.value)}>
+            {(years.length ? years : [year]).map((item) => (
+              <option key={item} value={item}>
+                {item}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {report.otherBase.length ? (
+        <p className="muted error-text">
+          {report.otherBase.map(monthLabel).join(', ')} were closed with a different reporting currency and are left out
+          of the department and year-to-date totals.
+        </p>
+      ) : null}
+      {report.missingRates.length ? (
+        <p className="muted error-text">Missing exchange rates: {report.missingRates.join(', ')}.</p>
+      ) : null}
+
+      {report.months.length === 0 ? (
+        <p className="panel muted">No payroll has been recorded for {year} yet.</p>
+      ) : (
+        <>
+          <article className="panel report-card">
+            <div className="panel-tools">
+              <h2>Monthly Payroll Trend</h2>
+              <button type="button" className="btn btn-soft" onClick={exportTrend}>
+                Export CSV
+              </button>
+            </div>
+            <BarChart
+              items={report.trend.map((row) => ({ label: shortMonth(row.month), value: row.net }))}
+              format={money}
+            />
+            <div className="table-wrap">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Month</th>
+                    <th>Headcount</th>
+                    <th>Gross</th>
+                    <th>Deductions</th>
+                    <th>Net</th>
+                    <th>Paid</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.trend.map((row) => (
+                    <tr key={row.month}>
+                      <td>{monthLabel(row.month)}</td>
+                      <td>{row.headcount}</td>
+                      <td>{formatCurrency(row.gross, row.base)}</td>
+                      <td>{formatCurrency(row.deductions, row.base)}</td>
+                      <td>{formatCurrency(row.net, row.base)}</td>
+                      <td>{formatCurrency(row.paid, row.base)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </article>
+
+          <article className="panel report-card">
+            <div className="panel-tools">
+              <h2>On-time Payments and Proof Coverage</h2>
+              <button type="button" className="btn btn-soft" onClick={exportTrend}>
+                Export CSV
+              </button>
+            </div>
+            <p className="muted">
+              On time means fully paid by the period&apos;s payday under the current payday rule and holiday calendar.
+              Proof coverage is the share of records with payments that also have a proof file.
+            </p>
+            <h3>On-time rate</h3>
+            <BarChart
+              items={report.trend.map((row) => ({ label: shortMonth(row.month), value: row.onTimeRate }))}
+              format={formatRate}
+              max={100}
+            />
+            <h3>Proof coverage</h3>
+            <BarChart
+              items={report.trend.map((row) => ({ label: shortMonth(row.month), value: row.proofCoverage }))}
+              format={formatRate}
+              max={100}
+            />
+          </article>
+
+          <article className="panel report-card">
+            <div className="panel-tools">
+              <h2>Department Breakdown</h2>
+              <button type="button" className="btn btn-soft" onClick={exportDepartments}>
+                Export CSV
+              </button>
+            </div>
+            <div className="hbar-list">
+              {report.departments.map((row) => (
+                <div className="hbar-row" key={row.department}>
+                  <span>{row.department}</span>
+                  <div className="hbar-track">
+                    <div className="bar" style={{ width: `${topDepartment ? (row.net / topDepartment) * 100 : 0}%` }} />
+                  </div>
+                  <strong>{money(row.net)}</strong>
+                </div>
+              ))}
+            </div>
+            <div className="table-wrap">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Department</th>
+                    <th>Employees</th>
+                    <th>Gross</th>
+                    <th>Deductions</th>
+                    <th>Net</th>
+                    <th>Paid</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.departments.map((row) => (
+                    <tr key={row.department}>
+                      <td>{row.department}</td>
+                      <td>{row.employees}</td>
+                      <td>{money(row.gross)}</td>
+                      <td>{money(row.deductions)}</td>
+                      <td>{money(row.net)}</td>
+                      <td>{money(row.paid)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </article>
+
+          <article className="panel report-card">
+            <div className="panel-tools">
+              <h2>Year-to-date by Employee</h2>
+              <button type="button" className="btn btn-soft" onClick={exportYtd}>
+                Export CSV
+              </button>
+            </div>
+            <div className="table-wrap">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Employee</th>
+                    <th>Department</th>
+                    <th>Months</th>
+                    <th>Gross</th>
+                    <th>Deductions</th>
+                    <th>Net</th>
+                    <th>Paid</th>
+                    <th>Net ({report.baseCurrency})</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.ytd.map((row) => (
+                    <tr key={row.id}>
+                      <td>{row.name}</td>
+                      <td>{row.department}</td>
+                      <td>{row.months}</td>
+                      <td>{formatCurrency(row.gross, row.currency)}</td>
+                      <td>{formatCurrency(row.deductions, row.currency)}</td>
+                      <td>{formatCurrency(row.net, row.currency)}</td>
+                      <td>{formatCurrency(row.paid, row.currency)}</td>
+                      <td>{money(row.netBase)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </article>
+        </>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,275 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { formatBytes, periodLabel } from './format.js';
+import { inspectProofStorage, proofsInOtherStates } from './proofStorage.js';
+import { listLocalStates } from './storage/index.js';
+
+export default function StoragePanel({
+  state,
+  heldProofs,
+  storage,
+  localBackend,
+  localKey,
+  canClean,
+  onRemoveReferences,
+  onClose
+}) {
+  const [stored, setStored] = useState(null);
+  const [elsewhere, setElsewhere] = useState(() => new Set());
+  const [estimate, setEstimate] = useState(null);
+  const [persisted, setPersisted] = useState(null);
+  const [selected, setSelected] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const refresh = useCallback(async () => {
+    setBusy(true);
+    setError('');
+    try {
+      setStored(await storage.listProofs());
+      setElsewhere(localBackend ? proofsInOtherStates(listLocalStates(), localKey) : new Set());
+      if (navigator.storage?.estimate) setEstimate(await navigator.storage.estimate());
+      if (navigator.storage?.persisted) setPersisted(await navigator.storage.persisted());
+    } catch (listError) {
+      setError(listError.message || 'Could not list stored proofs.');
+    } finally {
+      setBusy(false);
+    }
+  }, [storage, localBackend, localKey]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const report = useMemo(
+    () => (stored ? inspectProofStorage(state, stored, heldProofs, elsewhere) : null),
+    [state, stored, heldProofs, elsewhere]
+  );
+  const removable = report ? report.orphans.filter((blob) => !blob.recent) : [];
+
+  function toggle(id) {
+    setSelected((prev) => (prev.includes(id) ? prev.filter((item) => item !== id) : [...prev, id]));
+  }
+
+  async function deleteOrphans() {
+    const shared = localBackend ? proofsInOtherStates(listLocalStates(), localKey) : new Set();
+    const fresh = inspectProofStorage(state, await storage.listProofs(), heldProofs, shared);
+    const ids = fresh.orphans.filter((blob) => !blob.recent && selected.includes(blob.id)).map((blob) => blob.id);
+    if (!ids.length) {
+      setSelected([]);
+      await refresh();
+      return;
+    }
+    if (!window.confirm(`Permanently delete ${ids.length} unreferenced proof files from storage?`)) return;
+
+    setBusy(true);
+    setMessage('');
+    try {
+      for (const id of ids) await storage.deleteProof(id);
+      setMessage(`Deleted ${ids.length} orphaned proof files.`);
+    } catch (deleteError) {
+      setError(deleteError.message || 'Cleanup failed.');
+    } finally {
+      setSelected([]);
+      setBusy(false);
+    }
+    await refresh();
+  }
+
+  function removeReferences() {
+    if (!window.confirm(`Remove ${report.dangling.length} proof entries whose files are missing from storage?`)) return;
+    const skipped = onRemoveReferences(report.dangling);
+    setMessage(
+      'Removed references to missing files.' +
+        (skipped ? ` ${skipped} in closed months were kept; reopen those months to remove them.` : '')
+    );
+  }
+
+  async function requestPersistence() {
+    const granted = await navigator.storage.persist();
+    setPersisted(granted);
+    setMessage(
+      granted
+        ? 'The browser will keep payroll data and proofs until you delete them.'
+        : 'The browser declined persistent storage. Bookmarking or installing the site can help.'
+    );
+  }
+
+  return (
+    <section className="panel import-panel">
+      <div className="editor-heading">
+        <h2>Proof Storage</h2>
+        <div className="panel-tools">
+          <button type="button" className="btn btn-soft" onClick={refresh} disabled={busy}>
+            Refresh
+          </button>
+          <button type="button" className="btn btn-soft" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+
+      {busy ? <p className="muted">Working...</p> : null}
+      {message ? <p className="muted">{message}</p> : null}
+      {error ? <p className="muted error-text">{error}</p> : null}
+
+      {report ? (
+        <div className="pay-figures">
+          <div>
+            <span>Stored files</span>
+            <strong>
+              {report.blobs.length} · {formatBytes(report.totalSize)}
+            </strong>
+          </div>
+          <div>
+            <span>Orphaned files</span>
+            <strong>
+              {report.orphans.length} · {formatBytes(report.orphanSize)}
+            </strong>
+          </div>
+          <div>
+            <span>Missing files</span>
+            <strong>{report.dangling.length}</strong>
+          </div>
+        </div>
+      ) : null}
+
+      {localBackend && estimate ? (
+        <div className="storage-quota">
+          <p className="muted">
+            This browser is using {formatBytes(estimate.usage || 0)} of {formatBytes(estimate.quota || 0)} available
+            to this site.
+          </p>
+          <div className="hbar-track">
+            <div
+              className="bar"
+              style={{ width: `${estimate.quota ? Math.min(100, (estimate.usage / estimate.quota) * 100) : 0}%` }}
+            />
+          </div>
+          <p className="muted">
+            {persisted
+              ? 'Storage is persistent: the browser will not evict payroll data or proofs.'
+              : 'Storage is best-effort: the browser may evict proofs when disk space runs low.'}
+          </p>
+          {!persisted && navigator.storage?.persist ? (
+            <button type="button" className="btn btn-soft" onClick={requestPersistence}>
+              Request Persistent Storage
+            </button>
+          ) : null}
+        </div>
+      ) : null}
+
+      {report?.dangling.length ? (
+        <div className="muted error-text">
+          <h3>Proofs With Missing Files</h3>
+          <ul>
+            {report.dangling.map((proof) => (
+              <li key={proof.id}>
+                {proof.fileName} · {proof.employeeName} · {periodLabel(proof.month)}
+              </li>
+            ))}
+          </ul>
+          {canClean ? (
+            <button type="button" className="btn btn-soft" onClick={removeReferences} disabled={busy}>
+              Remove Missing References
+            </button>
+          ) : null}
+        </div>
+      ) : null}
+
+      {report ? (
+        <>
+          <div className="panel-tools">
+            <h3>Stored Files</h3>
+            {canClean ? (
+              <>
+                <button
+                  type="button"
+                  className="btn btn-soft"
+                  disabled={busy || !removable.length}
+                  onClick={() => setSelected(removable.map((blob) => blob.id))}
+                >
+                  Select All Orphans
+                </button>
+                <button
+                  type="button"
+                  className="btn btn-danger"
+                  disabled={busy || !selected.length}
+                  onClick={deleteOrphans}
+                >
+                  Delete Selected ({selected.length})
+                </button>
+              </>
+            ) : null}
+          </div>
+          <div className="table-wrap">
+            <table>
+              <thead>
+                <tr>
+                  <th />
+                  <th>File</th>
+                  <th>Employee</th>
+                  <th>Month</th>
+                  <th>Size</th>
+                  <th>Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.blobs.length === 0 ? (
+                  <tr>
+                    <td colSpan={6} className="muted">
+                      No proof files are stored.
+                    </td>
+                  </tr>
+                ) : null}
+                {report.blobs.map((blob) => (
+                  <tr key={blob.id}>
+                    <td>
+                      {blob.orphan && !blob.recent && canClean ? (
+                        <input
+                          type="checkbox"
+                          checked={selected.includes(blob.id)}
+                          onChange={() => toggle(blob.id)}
+                        />
+                      ) : null}
+                    </td>
+                    <td title={blob.sha256}>{blob.fileName || blob.id}</td>
+                    <td>{blob.employeeName || '—'}</td>
+                    <td>{blob.month ? periodLabel(blob.month) : '—'}</td>
+                    <td>{formatBytes(blob.size)}</td>
+                    <td>
+                      {blob.orphan ? (
+                        <span
+                          className="pill unpaid"
+                          title={blob.recent ? 'Uploaded within the last hour; it may still be saving.' : ''}
+                        >
+                          {blob.recent ? 'Orphan (recent)' : 'Orphan'}
+                        </span>
+                      ) : blob.held ? (
+                        <span
+                          className="pill submitted"
+                          title="Removed recently; kept until the change can no longer be undone."
+                        >
+                          Held for undo
+                        </span>
+                      ) : blob.elsewhere ? (
+                        <span
+                          className="pill submitted"
+                          title="Attached to payroll saved by another account in this browser."
+                        >
+                          Another account
+                        </span>
+                      ) : (
+                        <span className="pill paid">Linked</span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      ) : null}
+    </section>
+  );
+}
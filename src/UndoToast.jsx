@@ -0,0 +1,34 @@
+import { useEffect } from 'react';
+
+const TOAST_MS = 8000;
+
+const MESSAGES = {
+  done: (label) => label,
+  undo: (label) => `Undone: ${label}`,
+  redo: (label) => `Redone: ${label}`
+};
+
+export default function UndoToast({ toast, canUndo, canRedo, onUndo, onRedo, onDismiss }) {
+  useEffect(() => {
+    const timer = window.setTimeout(onDismiss, TOAST_MS);
+    return () => window.clearTimeout(timer);
+  }, [toast]);
+
+  return (
+    <div className="toast" role="status">
+      <span>{MESSAGES[toast.kind](toast.label)}</span>
+      {toast.kind === 'undo' ? (
+        <button type="button" className="btn-chip" disabled={!canRedo} onClick={onRedo}>
+          Redo
+        </button>
+      ) : (
+        <button type="button" className="btn-chip" disabled={!canUndo} onClick={onUndo}>
+          Undo
+        </button>
+      )}
+      <button type="button" className="btn-chip" aria-label="Dismiss" onClick={onDismiss}>
+        ×
+      </button>
+    </div>
+  );
+}
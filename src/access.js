@@ -0,0 +1,94 @@
+export const ROLES = {
+  admin: 'Admin',
+  operator: 'Payroll Operator',
+  approver: 'Approver',
+  viewer: 'Viewer'
+};
+
+const PERMISSIONS = {
+  admin: [
+    'employees.edit',
+    'records.edit',
+    'records.submit',
+    'records.approve',
+    'records.markAllPaid',
+    'payments.export',
+    'payslips.issue',
+    'rates.edit',
+    'proofs.upload',
+    'proofs.delete',
+    'import',
+    'month.close',
+    'month.reopen',
+    'backup.export',
+    'backup.restore',
+    'settings.edit',
+    'access.manage'
+  ],
+  operator: [
+    'employees.edit',
+    'records.edit',
+    'records.submit',
+    'records.markAllPaid',
+    'payments.export',
+    'payslips.issue',
+    'rates.edit',
+    'proofs.upload',
+    'proofs.delete',
+    'import',
+    'month.close',
+    'backup.export'
+  ],
+  approver: ['records.approve', 'month.close', 'month.reopen'],
+  viewer: []
+};
+
+export function emptyAccess() {
+  return { members: {}, domains: {} };
+}
+
+export function normalizeAccess(access) {
+  return {
+    members: { ...access?.members },
+    domains: { ...access?.domains }
+  };
+}
+
+export function normalizeEmail(email) {
+  return String(email || '')
+    .trim()
+    .toLowerCase();
+}
+
+export function resolveRole(access, email) {
+  const normalized = normalizeEmail(email);
+  if (!normalized) return null;
+  const domain = normalized.split('@')[1];
+  return access.members[normalized] || access.domains[domain] || null;
+}
+
+export function can(role, permission) {
+  return Boolean(role && PERMISSIONS[role]?.includes(permission));
+}
+
+export function withBootstrapAdmin(access, email) {
+  if (Object.keys(access.members).length || Object.keys(access.domains).length || !email) return access;
+  return { ...access, members: { [normalizeEmail(email)]: 'admin' } };
+}
+
+export function flattenAccess(access) {
+  return {
+    ...access.members,
+    ...Object.fromEntries(Object.entries(access.domains).map(([domain, role]) => [`@${domain}`, role]))
+  };
+}
+
+export function validateAccess(access) {
+  if (!Object.values(access.members).includes('admin')) {
+    return 'At least one admin must remain on the member list.';
+  }
+  for (const role of [...Object.values(access.members), ...Object.values(access.domains)]) {
+    if (!ROLES[role]) return `Unknown role "${role}".`;
+  }
+  return '';
+}
@@ -0,0 +1,116 @@
+import { maskBank } from './bank.js';
+import { describeComponent } from './pay.js';
+
+export const AUDIT_ACTIONS = {
+  'record.paid': 'Paid status changed',
+  'record.paymentDate': 'Payment date changed',
+  'record.payment': 'Payment recorded',
+  'record.paymentRemove': 'Payment removed',
+  'record.adjustments': 'Pay components changed',
+  'record.payslip': 'Payslip issued',
+  'month.markAllPaid': 'Marked paid in bulk',
+  'month.bankFile': 'Bank file generated',
+  'record.submit': 'Submitted for approval',
+  'record.approve': 'Approved',
+  'record.reject': 'Sent back to draft',
+  'record.payChanged': 'Sent back to draft after a pay change',
+  'month.submitAll': 'Submitted in bulk',
+  'month.approveAll': 'Approved in bulk',
+  'proof.upload': 'Proof uploaded',
+  'proof.delete': 'Proof deleted',
+  'proof.scan': 'Proof scanned',
+  'employee.add': 'Employee added',
+  'employee.update': 'Employee updated',
+  'month.close': 'Month closed',
+  'month.reopen': 'Month reopened',
+  'data.restore': 'Backup restored',
+  'data.import': 'Local data imported',
+  'access.update': 'Access changed',
+  'month.rates': 'Exchange rates changed',
+  'settings.update': 'Settings changed',
+  'history.undo': 'Change undone',
+  'history.redo': 'Change redone'
+};
+
+function summarize(key, value) {
+  if (key === 'proofs') {
+    return (value || []).map((proof) =>
+      proof.extracted
+        ? `${proof.fileName} (${proof.extracted.amount ?? 'no amount'}, ${proof.extracted.date || 'no date'})`
+        : proof.fileName
+    );
+  }
+  if (key === 'adjustments' || key === 'payComponents') return (value || []).map(describeComponent);
+  if (key === 'payments') {
+    return (value || []).map(
+      (payment) => `${payment.amount} on ${payment.date}${payment.batchFile ? ` in ${payment.batchFile}` : ''}`
+    );
+  }
+  if (key === 'payslips') return (value || []).map((slip) => `${slip.number} on ${slip.issuedAt.slice(0, 10)}`);
+  if (key === 'bank' || key === 'originator') return maskBank(value);
+  return value;
+}
+
+export function diffFields(before, after) {
+  const changedBefore = {};
+  const changedAfter = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const key of keys) {
+    const prevValue = summarize(key, before?.[key]);
+    const nextValue = summarize(key, after?.[key]);
+    if (JSON.stringify(prevValue) !== JSON.stringify(nextValue)) {
+      changedBefore[key] = prevValue ?? null;
+      changedAfter[key] = nextValue ?? null;
+    }
+  }
+
+  return { before: changedBefore, after: changedAfter };
+}
+
+export function appendAudit(state, entries) {
+  const at = new Date().toISOString();
+  const list = Array.isArray(entries) ? entries : [entries];
+  if (!list.length) return state;
+
+  return {
+    ...state,
+    auditLog: [
+      ...(state.auditLog || []),
+      ...list.map((entry) => ({
+        id: crypto.randomUUID(),
+        at,
+        month: '',
+        employeeId: '',
+        employeeName: '',
+        before: null,
+        after: null,
+        ...entry
+      }))
+    ]
+  };
+}
+
+export function describeChanges(entries) {
+  const [first] = entries;
+  const label = AUDIT_ACTIONS[first.action] || first.action;
+  if (entries.length === 1) return first.employeeName ? `${label} · ${first.employeeName}` : label;
+  if (entries.every((entry) => entry.action === first.action)) return `${label} · ${entries.length} changes`;
+  return `${label} and ${entries.length - 1} more changes`;
+}
+
+function formatScalar(value) {
+  if (Array.isArray(value)) return value.map(formatScalar).join(', ');
+  if (value && typeof value === 'object') return JSON.stringify(value);
+  return String(value ?? '');
+}
+
+export function formatAuditValue(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object' && !Array.isArray(value)) {
+    return Object.entries(value)
+      .map(([key, item]) => `${key}: ${formatScalar(item)}`)
+      .join('; ');
+  }
+  return formatScalar(value);
+}
@@ -0,0 +1,153 @@
+import { strFromU8, strToU8, unzipSync, zipSync } from 'fflate';
+import { sha256Hex } from './hash.js';
+import { isMonthClosed } from './months.js';
+import { migrateState } from './schema.js';
+
+export const BACKUP_FORMAT = 'payroll-dashboard-backup';
+export const BACKUP_VERSION = 1;
+
+export function referencedProofs(state) {
+  const proofs = [];
+  for (const [month, monthRecords] of Object.entries(state.records || {})) {
+    for (const [employeeId, record] of Object.entries(monthRecords)) {
+      for (const proof of record.proofs || []) {
+        proofs.push({ ...proof, month, employeeId });
+      }
+    }
+  }
+  return proofs;
+}
+
+export async function createBackup(state, storage) {
+  const stateBytes = strToU8(JSON.stringify(state));
+  const files = { 'state.json': stateBytes };
+  const proofs = [];
+  const missing = [];
+  const changed = [];
+
+  for (const proof of referencedProofs(state)) {
+    const blob = await storage.getProof(proof.id);
+    if (!blob) {
+      missing.push(proof);
+      continue;
+    }
+
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const sha256 = await sha256Hex(bytes);
+    if (proof.sha256 && proof.sha256 !== sha256) changed.push(proof);
+    files[`proofs/${proof.id}`] = [bytes, { level: 0 }];
+    proofs.push({ id: proof.id, type: blob.type, size: bytes.byteLength, sha256 });
+  }
+
+  const manifest = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: new Date().toISOString(),
+    stateSha256: await sha256Hex(stateBytes),
+    proofs,
+    missing: missing.map((proof) => proof.id),
+    changed: changed.map((proof) => proof.id)
+  };
+  files['manifest.json'] = strToU8(JSON.stringify(manifest, null, 2));
+
+  return {
+    blob: new Blob([zipSync(files)], { type: 'application/zip' }),
+    proofCount: proofs.length,
+    missing,
+    changed
+  };
+}
+
+export async function readBackup(file) {
+  let files;
+  try {
+    files = unzipSync(new Uint8Array(await file.arrayBuffer()));
+  } catch {
+    throw new Error('The selected file is not a valid backup archive.');
+  }
+
+  if (!files['manifest.json'] || !files['state.json']) {
+    throw new Error('The archive is missing its manifest or state file.');
+  }
+
+  const manifest = JSON.parse(strFromU8(files['manifest.json']));
+  if (manifest.format !== BACKUP_FORMAT) {
+    throw new Error('The archive was not created by the payroll dashboard.');
+  }
+  if (manifest.version > BACKUP_VERSION) {
+    throw new Error('The backup was created by a newer version of the dashboard.');
+  }
+  if ((await sha256Hex(files['state.json'])) !== manifest.stateSha256) {
+    throw new Error('The payroll data in this backup failed its integrity check.');
+  }
+
+  const state = migrateState(JSON.parse(strFromU8(files['state.json'])));
+  const blobs = new Map();
+  const corrupt = [];
+
+  for (const entry of manifest.proofs) {
+    const bytes = files[`proofs/${entry.id}`];
+    if (!bytes || (await sha256Hex(bytes)) !== entry.sha256) {
+      corrupt.push(entry.id);
+      continue;
+    }
+    blobs.set(entry.id, new Blob([bytes], { type: entry.type || 'application/pdf' }));
+  }
+
+  const missing = referencedProofs(state).filter((proof) => !blobs.has(proof.id));
+
+  return { manifest, state, blobs, corrupt, missing };
+}
+
+function mergeById(current, incoming) {
+  const ids = new Set(current.map((item) => item.id));
+  return [...current, ...incoming.filter((item) => !ids.has(item.id))];
+}
+
+function mergeMonth(currentRecords = {}, incomingRecords) {
+  const merged = { ...currentRecords };
+  for (const [employeeId, record] of Object.entries(incomingRecords)) {
+    const existing = merged[employeeId];
+    merged[employeeId] = existing
+      ? { ...existing, proofs: mergeById(existing.proofs || [], record.proofs || []) }
+      : record;
+  }
+  return merged;
+}
+
+export function closedMergePeriods(current, incoming) {
+  return Object.entries(incoming.records || {})
+    .filter(([month]) => isMonthClosed(current, month))
+    .filter(([month, monthRecords]) => {
+      const existing = current.records[month] || {};
+      return JSON.stringify(mergeMonth(existing, monthRecords)) !== JSON.stringify(existing);
+    })
+    .map(([month]) => month)
+    .sort();
+}
+
+export function mergeStates(current, incoming) {
+  const records = { ...current.records };
+
+  for (const [month, monthRecords] of Object.entries(incoming.records || {})) {
+    if (isMonthClosed(current, month)) continue;
+    records[month] = mergeMonth(records[month], monthRecords);
+  }
+
+  return {
+    ...current,
+    employees: mergeById(current.employees, incoming.employees || []),
+    records,
+    monthClosures: { ...incoming.monthClosures, ...current.monthClosures },
+    exchangeRates: { ...incoming.exchangeRates, ...current.exchangeRates },
+    auditLog: mergeById(current.auditLog, incoming.auditLog || []).sort((a, b) => a.at.localeCompare(b.at))
+  };
+}
+
+export function replaceState(current, incoming) {
+  return {
+    ...incoming,
+    access: current.access,
+    auditLog: mergeById(incoming.auditLog || [], current.auditLog).sort((a, b) => a.at.localeCompare(b.at))
+  };
+}
@@ -0,0 +1,343 @@
+import { outstandingAmount } from './payments.js';
+import { recordStage } from './workflow.js';
+
+export const ACCOUNT_TYPES = { checking: 'Checking', savings: 'Savings' };
+
+export const BANK_FORMATS = {
+  nacha: { label: 'NACHA ACH', currency: 'USD', extension: 'ach', type: 'text/plain' },
+  sepa: { label: 'SEPA pain.001', currency: 'EUR', extension: 'xml', type: 'application/xml' }
+};
+
+function clean(value) {
+  return String(value || '').trim();
+}
+
+function compact(value) {
+  return clean(value).replace(/\s+/g, '').toUpperCase();
+}
+
+export function normalizeBank(bank) {
+  return {
+    accountName: clean(bank?.accountName),
+    routingNumber: compact(bank?.routingNumber),
+    accountNumber: compact(bank?.accountNumber),
+    accountType: ACCOUNT_TYPES[bank?.accountType] ? bank.accountType : 'checking',
+    iban: compact(bank?.iban),
+    bic: compact(bank?.bic)
+  };
+}
+
+export function normalizeOriginator(originator) {
+  return {
+    name: clean(originator?.name),
+    companyId: compact(originator?.companyId),
+    bankName: clean(originator?.bankName),
+    routingNumber: compact(originator?.routingNumber),
+    iban: compact(originator?.iban),
+    bic: compact(originator?.bic)
+  };
+}
+
+export function isValidRoutingNumber(value) {
+  if (!/^\d{9}$/.test(value || '')) return false;
+  const digits = [...value].map(Number);
+  const weights = [3, 7, 1, 3, 7, 1, 3, 7, 1];
+  return digits.reduce((sum, digit, index) => sum + digit * weights[index], 0) % 10 === 0;
+}
+
+export function isValidIban(value) {
+  const iban = compact(value);
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(iban)) return false;
+  const rearranged = `${iban.slice(4)}${iban.slice(0, 4)}`;
+  let remainder = 0;
+  for (const char of rearranged) {
+    const digits = /\d/.test(char) ? char : String(char.charCodeAt(0) - 55);
+    for (const digit of digits) remainder = (remainder * 10 + Number(digit)) % 97;
+  }
+  return remainder === 1;
+}
+
+export function isValidBic(value) {
+  return /^[A-Z]{4}[A-Z]{2}[A-Z0-9]{2}([A-Z0-9]{3})?$/.test(compact(value));
+}
+
+export function maskAccount(value) {
+  const text = compact(value);
+  if (!text) return '';
+  return text.length <= 4 ? '••••' : `•••• ${text.slice(-4)}`;
+}
+
+export function maskBank(bank) {
+  if (!bank) return bank;
+  const masked = { ...bank };
+  for (const key of ['accountNumber', 'iban']) {
+    if (masked[key]) masked[key] = maskAccount(masked[key]);
+  }
+  return masked;
+}
+
+export function validateBank(bank) {
+  if (!bank) return '';
+  if (bank.routingNumber && !isValidRoutingNumber(bank.routingNumber)) {
+    return 'The routing number is not a valid 9-digit ABA number.';
+  }
+  if (bank.accountNumber && !/^[0-9A-Z]{4,17}$/.test(bank.accountNumber)) {
+    return 'Account numbers must be 4 to 17 letters or digits.';
+  }
+  if (bank.routingNumber && !bank.accountNumber) return 'Add the account number for this routing number.';
+  if (bank.iban && !isValidIban(bank.iban)) return 'The IBAN is not valid.';
+  if (bank.bic && !isValidBic(bank.bic)) return 'The BIC must be 8 or 11 characters.';
+  return '';
+}
+
+export function originatorIssues(originator, format) {
+  const issues = [];
+  if (!originator.name) issues.push('Company name is missing.');
+  if (format === 'nacha') {
+    if (!/^[0-9A-Z]{10}$/.test(originator.companyId)) issues.push('Company ID must be 10 characters.');
+    if (!isValidRoutingNumber(originator.routingNumber)) issues.push('Company routing number is not valid.');
+  }
+  if (format === 'sepa') {
+    if (!isValidIban(originator.iban)) issues.push('Company IBAN is not valid.');
+    if (originator.bic && !isValidBic(originator.bic)) issues.push('Company BIC is not valid.');
+  }
+  return issues;
+}
+
+const STAGE_ISSUES = {
+  draft: 'Not submitted yet',
+  submitted: 'Waiting for approval'
+};
+
+function entryIssue(employee, format) {
+  const bank = employee.bank;
+  if (format === 'nacha') {
+    if (!bank?.routingNumber || !bank?.accountNumber) return 'No US bank account';
+    if (!isValidRoutingNumber(bank.routingNumber)) return 'Invalid routing number';
+  }
+  if (format === 'sepa') {
+    if (!bank?.iban) return 'No IBAN';
+    if (!isValidIban(bank.iban)) return 'Invalid IBAN';
+    if (bank.bic && !isValidBic(bank.bic)) return 'Invalid BIC';
+  }
+  return '';
+}
+
+export function bankFileCandidates(employees, records, netById, format) {
+  const { currency } = BANK_FORMATS[format];
+
+  return employees
+    .filter((employee) => recordStage(records[employee.id]) !== 'paid')
+    .map((employee) => {
+      const stage = recordStage(records[employee.id]);
+      const amount = outstandingAmount(records[employee.id], netById.get(employee.id));
+      const issue =
+        stage !== 'approved'
+          ? STAGE_ISSUES[stage]
+          : employee.currency !== currency
+            ? `Paid in ${employee.currency}, not ${currency}`
+            : amount <= 0
+              ? 'Nothing outstanding'
+              : entryIssue(employee, format);
+      return { employee, amount, issue };
+    });
+}
+
+function ascii(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\x20-\x7e]/g, '');
+}
+
+function alpha(value, length) {
+  return ascii(value).toUpperCase().slice(0, length).padEnd(length, ' ');
+}
+
+function numeric(value, length) {
+  return String(value).slice(-length).padStart(length, '0');
+}
+
+function yymmdd(date) {
+  return date.replace(/-/g, '').slice(2, 8);
+}
+
+function cents(amount) {
+  return Math.round(amount * 100);
+}
+
+export function buildNacha(originator, entries, { valueDate, createdAt, batchNumber = 1 }) {
+  const odfi = originator.routingNumber.slice(0, 8);
+  const created = new Date(createdAt);
+  const pad2 = (value) => String(value).padStart(2, '0');
+  const creationDate = [created.getFullYear() % 100, created.getMonth() + 1, created.getDate()].map(pad2).join('');
+  const creationTime = [created.getHours(), created.getMinutes()].map(pad2).join('');
+
+  const lines = [
+    [
+      '1',
+      '01',
+      ` ${originator.routingNumber}`,
+      alpha(originator.companyId, 10),
+      creationDate,
+      creationTime,
+      'A',
+      '094',
+      '10',
+      '1',
+      alpha(originator.bankName, 23),
+      alpha(originator.name, 23),
+      alpha('', 8)
+    ].join(''),
+    [
+      '5',
+      '220',
+      alpha(originator.name, 16),
+      alpha('', 20),
+      alpha(originator.companyId, 10),
+      'PPD',
+      alpha('PAYROLL', 10),
+      alpha(yymmdd(valueDate), 6),
+      yymmdd(valueDate),
+      '   ',
+      '1',
+      odfi,
+      numeric(batchNumber, 7)
+    ].join('')
+  ];
+
+  let hash = 0;
+  let total = 0;
+  entries.forEach((entry, index) => {
+    const { routingNumber, accountNumber, accountType } = entry.employee.bank;
+    hash += Number(routingNumber.slice(0, 8));
+    total += cents(entry.amount);
+    lines.push(
+      [
+        '6',
+        accountType === 'savings' ? '32' : '22',
+        routingNumber.slice(0, 8),
+        routingNumber[8],
+        alpha(accountNumber, 17),
+        numeric(cents(entry.amount), 10),
+        alpha(entry.employee.id, 15),
+        alpha(entry.employee.bank.accountName || entry.employee.name, 22),
+        '  ',
+        '0',
+        odfi,
+        numeric(index + 1, 7)
+      ].join('')
+    );
+  });
+
+  const entryHash = numeric(hash, 10);
+  lines.push(
+    [
+      '8',
+      '220',
+      numeric(entries.length, 6),
+      entryHash,
+      numeric(0, 12),
+      numeric(total, 12),
+      alpha(originator.companyId, 10),
+      alpha('', 19),
+      alpha('', 6),
+      odfi,
+      numeric(batchNumber, 7)
+    ].join('')
+  );
+
+  const blocks = Math.ceil((lines.length + 1) / 10);
+  lines.push(
+    [
+      '9',
+      numeric(1, 6),
+      numeric(blocks, 6),
+      numeric(entries.length, 8),
+      entryHash,
+      numeric(0, 12),
+      numeric(total, 12),
+      alpha('', 39)
+    ].join('')
+  );
+  while (lines.length % 10) lines.push('9'.repeat(94));
+
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+function xml(value) {
+  return ascii(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function agent(bic) {
+  const id = bic ? `<BIC>${bic}</BIC>` : '<Othr><Id>NOTPROVIDED</Id></Othr>';
+  return `<FinInstnId>${id}</FinInstnId>`;
+}
+
+export function buildSepa(originator, entries, { valueDate, createdAt, messageId, month }) {
+  const total = entries.reduce((sum, entry) => sum + cents(entry.amount), 0);
+  const sum = (total / 100).toFixed(2);
+  const transactions = entries.map(({ employee, amount }, index) =>
+    [
+      '      <CdtTrfTxInf>',
+      `        <PmtId><EndToEndId>${xml(`${messageId}-${index + 1}`.slice(0, 35))}</EndToEndId></PmtId>`,
+      `        <Amt><InstdAmt Ccy="EUR">${amount.toFixed(2)}</InstdAmt></Amt>`,
+      employee.bank.bic ? `        <CdtrAgt>${agent(employee.bank.bic)}</CdtrAgt>` : '',
+      `        <Cdtr><Nm>${xml((employee.bank.accountName || employee.name).slice(0, 70))}</Nm></Cdtr>`,
+      `        <CdtrAcct><Id><IBAN>${employee.bank.iban}</IBAN></Id></CdtrAcct>`,
+      `        <RmtInf><Ustrd>${xml(`Salary ${month}`)}</Ustrd></RmtInf>`,
+      '      </CdtTrfTxInf>'
+    ]
+      .filter(Boolean)
+      .join('\n')
+  );
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:pain.001.001.03">
+  <CstmrCdtTrfInitn>
+    <GrpHdr>
+      <MsgId>${xml(messageId)}</MsgId>
+      <CreDtTm>${createdAt.slice(0, 19)}</CreDtTm>
+      <NbOfTxs>${entries.length}</NbOfTxs>
+      <CtrlSum>${sum}</CtrlSum>
+      <InitgPty><Nm>${xml(originator.name.slice(0, 70))}</Nm></InitgPty>
+    </GrpHdr>
+    <PmtInf>
+      <PmtInfId>${xml(messageId)}</PmtInfId>
+      <PmtMtd>TRF</PmtMtd>
+      <BtchBookg>true</BtchBookg>
+      <NbOfTxs>${entries.length}</NbOfTxs>
+      <CtrlSum>${sum}</CtrlSum>
+      <PmtTpInf><SvcLvl><Cd>SEPA</Cd></SvcLvl><CtgyPurp><Cd>SALA</Cd></CtgyPurp></PmtTpInf>
+      <ReqdExctnDt>${valueDate}</ReqdExctnDt>
+      <Dbtr><Nm>${xml(originator.name.slice(0, 70))}</Nm></Dbtr>
+      <DbtrAcct><Id><IBAN>${originator.iban}</IBAN></Id></DbtrAcct>
+      <DbtrAgt>${agent(originator.bic)}</DbtrAgt>
+      <ChrgBr>SLEV</ChrgBr>
+${transactions.join('\n')}
+    </PmtInf>
+  </CstmrCdtTrfInitn>
+</Document>
+`;
+}
+
+export function bankBatches(monthRecords, employees) {
+  const batches = new Map();
+  for (const [employeeId, record] of Object.entries(monthRecords || {})) {
+    for (const payment of record.payments || []) {
+      if (!payment.batchId) continue;
+      const batch = batches.get(payment.batchId) || { id: payment.batchId, fileName: payment.batchFile, payments: [] };
+      batch.payments.push({
+        ...payment,
+        employeeName: employees.find((employee) => employee.id === employeeId)?.name || record.snapshot?.name || ''
+      });
+      batches.set(payment.batchId, batch);
+    }
+  }
+  return [...batches.values()].sort((a, b) => b.fileName.localeCompare(a.fileName));
+}
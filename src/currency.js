@@ -0,0 +1,89 @@
+import { normalizeOriginator } from './bank.js';
+import { parseCsv } from './csv.js';
+import { normalizePayday } from './paydays.js';
+import { normalizeBranding } from './payslips.js';
+import { normalizeDepartmentSchedules, normalizeSchedules, periodMonth } from './schedules.js';
+
+export const CURRENCIES = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'CHF', 'JPY', 'INR', 'MXN', 'BRL', 'SGD', 'SEK'];
+
+export const DEFAULT_CURRENCY = 'USD';
+
+export function normalizeCurrency(code) {
+  const normalized = String(code || '')
+    .trim()
+    .toUpperCase();
+  return CURRENCIES.includes(normalized) ? normalized : '';
+}
+
+export function normalizeSettings(settings) {
+  return {
+    ...settings,
+    baseCurrency: normalizeCurrency(settings?.baseCurrency) || DEFAULT_CURRENCY,
+    originator: normalizeOriginator(settings?.originator),
+    branding: normalizeBranding(settings?.branding),
+    paySchedules: normalizeSchedules(settings?.paySchedules),
+    departmentSchedules: normalizeDepartmentSchedules(settings?.departmentSchedules),
+    payday: normalizePayday(settings?.payday)
+  };
+}
+
+function roundRate(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+export function rebaseRates(stored, base) {
+  const pivot = stored.rates[base];
+  if (stored.base === base || !pivot) return { base: stored.base, rates: { ...stored.rates } };
+
+  const rates = Object.fromEntries(
+    Object.entries(stored.rates)
+      .filter(([currency]) => currency !== base)
+      .map(([currency, rate]) => [currency, roundRate(rate / pivot)])
+  );
+  return { base, rates: { ...rates, [stored.base]: roundRate(1 / pivot) } };
+}
+
+export function monthRates(state, period) {
+  const closure = state.monthClosures?.[period];
+  const frozen = closure?.rates || state.exchangeRates?.[period];
+  const stored = state.exchangeRates?.[periodMonth(period)];
+  const base = state.settings.baseCurrency;
+
+  if (closure?.closed && frozen) return { base: frozen.base, rates: { ...frozen.rates } };
+  return stored ? rebaseRates(stored, base) : { base, rates: {} };
+}
+
+export function rateFor(rates, currency) {
+  if (currency === rates.base) return 1;
+  return rates.rates[currency];
+}
+
+export function convert(amount, currency, rates) {
+  const rate = rateFor(rates, currency);
+  return rate ? Math.round(Number(amount || 0) * rate * 100) / 100 : null;
+}
+
+export function validateRates(rates) {
+  for (const [currency, rate] of Object.entries(rates)) {
+    if (!CURRENCIES.includes(currency)) return `Unknown currency "${currency}".`;
+    if (!Number.isFinite(rate) || rate <= 0) return `The ${currency} rate must be a positive number.`;
+  }
+  return '';
+}
+
+export function parseRatesCsv(text) {
+  const rows = parseCsv(text).filter((cells) => cells.some((cell) => String(cell).trim()));
+  const rates = {};
+  const errors = [];
+
+  rows.forEach((cells, index) => {
+    const currency = normalizeCurrency(cells[0]);
+    const rate = Number(String(cells[1] ?? '').trim());
+    if (index === 0 && !currency && !Number.isFinite(rate)) return;
+    if (!currency) errors.push(`Row ${index + 1}: unknown currency "${cells[0]}".`);
+    else if (!Number.isFinite(rate) || rate <= 0) errors.push(`Row ${index + 1}: rate must be a positive number.`);
+    else rates[currency] = rate;
+  });
+
+  return { rates, errors };
+}
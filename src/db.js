@@ -1,14 +1,32 @@
 const DB_NAME = 'payroll-proof-db';
 const DB_STORE = 'proofs';
 
+const DB_MIGRATIONS = [
+  (db) => {
+    db.createObjectStore(DB_STORE, { keyPath: 'id' });
+  },
+  (db, tx) => {
+    tx.objectStore(DB_STORE).openCursor().onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      const { sha256, storedAt } = cursor.value;
+      if (sha256 === undefined || storedAt === undefined) {
+        cursor.update({ ...cursor.value, sha256: sha256 || '', storedAt: storedAt || '' });
+      }
+      cursor.continue();
+    };
+  }
+];
+
+const DB_VERSION = DB_MIGRATIONS.length;
+
 function openProofDb() {
   return new Promise((resolve, reject) => {
-    const req = indexedDB.open(DB_NAME, 1);
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
 
-    req.onupgradeneeded = () => {
-      const db = req.result;
-      if (!db.objectStoreNames.contains(DB_STORE)) {
-        db.createObjectStore(DB_STORE, { keyPath: 'id' });
+    req.onupgradeneeded = (event) => {
+      for (let version = event.oldVersion; version < DB_VERSION; version += 1) {
+        DB_MIGRATIONS[version](req.result, req.transaction);
       }
     };
 
@@ -17,11 +35,11 @@ function openProofDb() {
   });
 }
 
-export async function putProofBlob(id, blob) {
+export async function putProofBlob(id, blob, sha256 = '') {
   const db = await openProofDb();
   await new Promise((resolve, reject) => {
     const tx = db.transaction(DB_STORE, 'readwrite');
-    tx.objectStore(DB_STORE).put({ id, blob });
+    tx.objectStore(DB_STORE).put({ id, blob, sha256, storedAt: new Date().toISOString() });
     tx.oncomplete = resolve;
     tx.onerror = () => reject(tx.error);
   });
@@ -50,3 +68,31 @@ export async function deleteProofBlob(id) {
   });
   db.close();
 }
+
+export async function listProofBlobs() {
+  const db = await openProofDb();
+  const result = await new Promise((resolve, reject) => {
+    const entries = [];
+    const tx = db.transaction(DB_STORE, 'readonly');
+    const req = tx.objectStore(DB_STORE).openCursor();
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) {
+        resolve(entries);
+        return;
+      }
+      const { id, blob, sha256, storedAt } = cursor.value;
+      entries.push({
+        id,
+        size: blob?.size || 0,
+        type: blob?.type || '',
+        sha256: sha256 || '',
+        storedAt: storedAt || ''
+      });
+      cursor.continue();
+    };
+    req.onerror = () => reject(req.error);
+  });
+  db.close();
+  return result;
+}
@@ -0,0 +1,112 @@
+import { normalizeBank, validateBank } from './bank.js';
+import { DEFAULT_CURRENCY, normalizeCurrency } from './currency.js';
+import { normalizeComponent, validateComponent } from './pay.js';
+
+export function monthOf(date) {
+  return date ? date.slice(0, 7) : '';
+}
+
+export function sortSalaryHistory(history) {
+  return [...history].sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+}
+
+export function normalizeEmployee(employee) {
+  const { salary, ...rest } = employee;
+  const currency = normalizeCurrency(employee.currency) || DEFAULT_CURRENCY;
+  const history =
+    Array.isArray(employee.salaryHistory) && employee.salaryHistory.length
+      ? employee.salaryHistory
+      : [{ effectiveFrom: monthOf(employee.hireDate), salary: Number(salary) || 0 }];
+  const salaryHistory = sortSalaryHistory(
+    history.map((entry) => ({
+      effectiveFrom: entry.effectiveFrom || '',
+      salary: Number(entry.salary) || 0,
+      currency: normalizeCurrency(entry.currency) || currency
+    }))
+  );
+
+  return {
+    ...rest,
+    hireDate: employee.hireDate || '',
+    terminationDate: employee.terminationDate || '',
+    currency: salaryHistory[salaryHistory.length - 1].currency,
+    payComponents: (employee.payComponents || []).map(normalizeComponent),
+    bank: normalizeBank(employee.bank),
+    payScheduleId: String(employee.payScheduleId || ''),
+    salaryHistory
+  };
+}
+
+function salaryEntryFor(employee, month) {
+  let found = null;
+  for (const entry of employee.salaryHistory) {
+    if (entry.effectiveFrom > month) break;
+    found = entry;
+  }
+  return found;
+}
+
+export function salaryForMonth(employee, month) {
+  return salaryEntryFor(employee, month)?.salary || 0;
+}
+
+export function currencyForMonth(employee, month) {
+  return salaryEntryFor(employee, month)?.currency || employee.currency;
+}
+
+export function currentSalary(employee) {
+  return employee.salaryHistory[employee.salaryHistory.length - 1]?.salary || 0;
+}
+
+export function isActiveInMonth(employee, month) {
+  if (employee.hireDate && monthOf(employee.hireDate) > month) return false;
+  if (employee.terminationDate && monthOf(employee.terminationDate) < month) return false;
+  return true;
+}
+
+export function isActiveInPeriod(employee, start, end) {
+  if (employee.hireDate && employee.hireDate > end) return false;
+  if (employee.terminationDate && employee.terminationDate < start) return false;
+  return true;
+}
+
+export function withSalaryChange(employee, effectiveFrom, salary, currency = currencyForMonth(employee, effectiveFrom)) {
+  const salaryHistory = sortSalaryHistory([
+    ...employee.salaryHistory.filter((entry) => entry.effectiveFrom !== effectiveFrom),
+    { effectiveFrom, salary, currency }
+  ]);
+  return { ...employee, currency: salaryHistory[salaryHistory.length - 1].currency, salaryHistory };
+}
+
+export function validateEmployeeInput({ name, department, salary }) {
+  if (!name || !department || !Number.isFinite(salary) || salary < 0) {
+    return 'Please provide valid employee details.';
+  }
+  return '';
+}
+
+export function validateEmployee(employee) {
+  if (!employee.name.trim() || !employee.department.trim()) {
+    return 'Name and department are required.';
+  }
+  if (!employee.salaryHistory.length) {
+    return 'At least one salary record is required.';
+  }
+  for (const entry of employee.salaryHistory) {
+    if (!Number.isFinite(entry.salary) || entry.salary < 0) {
+      return 'Salaries must be zero or a positive number.';
+    }
+  }
+  const months = employee.salaryHistory.map((entry) => entry.effectiveFrom);
+  if (new Set(months).size !== months.length) {
+    return 'Only one salary record is allowed per effective month.';
+  }
+  for (const component of employee.payComponents || []) {
+    const error = validateComponent(component);
+    if (error) return error;
+  }
+  if (employee.hireDate && employee.terminationDate && employee.terminationDate < employee.hireDate) {
+    return 'Termination date cannot be before the hire date.';
+  }
+  return validateBank(employee.bank);
+}
@@ -1,5 +1,5 @@
 import { initializeApp } from 'firebase/app';
-import { getAuth, GoogleAuthProvider } from 'firebase/auth';
+import { connectAuthEmulator, getAuth, GoogleAuthProvider } from 'firebase/auth';
 
 const firebaseConfig = {
   apiKey: import.meta.env.VITE_FIREBASE_API_KEY,
@@ -11,15 +11,22 @@ const firebaseConfig = {
 };
 
 const isFirebaseConfigured = Object.values(firebaseConfig).every(Boolean);
+const useEmulators = import.meta.env.VITE_FIREBASE_EMULATORS === 'true';
+const emulatorHost = import.meta.env.VITE_FIREBASE_EMULATOR_HOST || '127.0.0.1';
 
+let app = null;
 let auth = null;
 let provider = null;
 
 if (isFirebaseConfigured) {
-  const app = initializeApp(firebaseConfig);
+  app = initializeApp(firebaseConfig);
   auth = getAuth(app);
   provider = new GoogleAuthProvider();
   provider.setCustomParameters({ prompt: 'select_account' });
+
+  if (useEmulators) {
+    connectAuthEmulator(auth, `http://${emulatorHost}:9099`, { disableWarnings: true });
+  }
 }
 
-export { auth, provider, isFirebaseConfigured };
+export { app, auth, provider, isFirebaseConfigured, useEmulators, emulatorHost };
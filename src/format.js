@@ -0,0 +1,32 @@
+export function formatCurrency(value, currency = 'USD') {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency,
+    maximumFractionDigits: 0
+  }).format(value || 0);
+}
+
+export function formatAmount(value, currency = 'USD', currencyDisplay = 'symbol') {
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency, currencyDisplay }).format(value || 0);
+}
+
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+}
+
+export function monthLabel(month) {
+  const [year, mon] = month.split('-').map(Number);
+  if (!year || !mon) return month;
+  const date = new Date(year, mon - 1, 1);
+  return date.toLocaleString('en-US', { month: 'long', year: 'numeric' });
+}
+
+export function periodLabel(period) {
+  if (!period.includes('@')) return monthLabel(period);
+  const end = new Date(`${period.split('@')[0]}T00:00:00Z`);
+  const date = end.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+  return `Period ending ${date}`;
+}
@@ -0,0 +1,131 @@
+import { describeChanges } from './audit.js';
+import { referencedProofs } from './backup.js';
+import { isMonthClosed } from './months.js';
+
+export const HISTORY_LIMIT = 50;
+export const UNDO_WINDOW_MS = 10 * 60 * 1000;
+
+export function startTimeline(present) {
+  return { past: [], present, future: [] };
+}
+
+export function replacePresent(timeline, present) {
+  return present === timeline.present ? timeline : { ...timeline, present };
+}
+
+export function recordChange(timeline, next, permission, now = Date.now()) {
+  if (next === timeline.present) return timeline;
+  const added = (next.auditLog || []).slice((timeline.present.auditLog || []).length);
+  if (!added.length) return replacePresent(timeline, next);
+
+  const entry = { label: describeChanges(added), permission, before: timeline.present, after: next, at: now };
+  return { past: [...timeline.past, entry].slice(-HISTORY_LIMIT), present: next, future: [] };
+}
+
+function restoreKeys(current, target, changed) {
+  const next = { ...(current || {}) };
+  for (const key of new Set([...Object.keys(target || {}), ...Object.keys(changed || {})])) {
+    if (target?.[key] === changed?.[key]) continue;
+    if (target?.[key] === undefined) delete next[key];
+    else next[key] = target[key];
+  }
+  return next;
+}
+
+function byId(employees) {
+  return Object.fromEntries((employees || []).map((employee) => [employee.id, employee]));
+}
+
+function restoreEmployees(current, target, changed) {
+  if (target === changed) return current;
+  const restored = restoreKeys(byId(current), byId(target), byId(changed));
+  const kept = current.filter((employee) => restored[employee.id]).map((employee) => restored[employee.id]);
+  const keptIds = new Set(kept.map((employee) => employee.id));
+  return [...kept, ...Object.values(restored).filter((employee) => !keptIds.has(employee.id))];
+}
+
+function changedPeriods(target, changed) {
+  return [...new Set([...Object.keys(target.records || {}), ...Object.keys(changed.records || {})])].filter(
+    (period) => target.records?.[period] !== changed.records?.[period]
+  );
+}
+
+export function applyChange(present, target, changed) {
+  const records = { ...present.records };
+  for (const period of changedPeriods(target, changed)) {
+    records[period] = restoreKeys(present.records[period], target.records?.[period], changed.records?.[period]);
+  }
+
+  return {
+    ...present,
+    records,
+    employees: restoreEmployees(present.employees, target.employees, changed.employees),
+    monthClosures: restoreKeys(present.monthClosures, target.monthClosures, changed.monthClosures),
+    exchangeRates: restoreKeys(present.exchangeRates, target.exchangeRates, changed.exchangeRates),
+    settings: restoreKeys(present.settings, target.settings, changed.settings),
+    access: target.access === changed.access ? present.access : target.access
+  };
+}
+
+export function lockedPeriods(present, target, changed) {
+  return changedPeriods(target, changed).filter(
+    (period) => isMonthClosed(present, period) && target.monthClosures?.[period] === changed.monthClosures?.[period]
+  );
+}
+
+export function closurePeriods(target, changed) {
+  return [...new Set([...Object.keys(target.monthClosures || {}), ...Object.keys(changed.monthClosures || {})])].filter(
+    (period) => isMonthClosed(target, period) !== isMonthClosed(changed, period)
+  );
+}
+
+export function undoEntry(timeline) {
+  return timeline.past[timeline.past.length - 1] || null;
+}
+
+export function redoEntry(timeline) {
+  return timeline.future[0] || null;
+}
+
+export function undo(timeline, finish) {
+  const entry = undoEntry(timeline);
+  if (!entry) return timeline;
+  return {
+    past: timeline.past.slice(0, -1),
+    present: finish(applyChange(timeline.present, entry.before, entry.after), entry),
+    future: [entry, ...timeline.future]
+  };
+}
+
+export function redo(timeline, finish) {
+  const entry = redoEntry(timeline);
+  if (!entry) return timeline;
+  return {
+    past: [...timeline.past, entry],
+    present: finish(applyChange(timeline.present, entry.after, entry.before), entry),
+    future: timeline.future.slice(1)
+  };
+}
+
+export function expireHistory(timeline, now = Date.now()) {
+  const fresh = (entry) => now - entry.at < UNDO_WINDOW_MS;
+  if (timeline.past.every(fresh) && timeline.future.every(fresh)) return timeline;
+  return { ...timeline, past: timeline.past.filter(fresh), future: timeline.future.filter(fresh) };
+}
+
+function proofIds(periodRecords) {
+  return Object.values(periodRecords || {}).flatMap((record) => (record.proofs || []).map((proof) => proof.id));
+}
+
+export function heldProofIds(timeline) {
+  const held = new Set();
+  for (const entry of [...timeline.past, ...timeline.future]) {
+    for (const period of changedPeriods(entry.before, entry.after)) {
+      for (const id of [...proofIds(entry.before.records?.[period]), ...proofIds(entry.after.records?.[period])]) {
+        held.add(id);
+      }
+    }
+  }
+  for (const proof of referencedProofs(timeline.present)) held.delete(proof.id);
+  return held;
+}
@@ -0,0 +1,135 @@
+import { normalizeCurrency } from './currency.js';
+import { currencyForMonth, salaryForMonth, validateEmployeeInput } from './employees.js';
+import { computePay } from './pay.js';
+import { isFullyPaid, outstandingAmount } from './payments.js';
+import { payForPeriod } from './schedules.js';
+import { recordStage } from './workflow.js';
+import { excelSerialToDate } from './xlsx.js';
+
+export const IMPORT_FIELDS = [
+  { key: 'name', label: 'Employee', aliases: ['employee', 'name', 'employee name', 'full name'], required: true },
+  { key: 'department', label: 'Department', aliases: ['department', 'dept', 'team'], required: true },
+  { key: 'salary', label: 'Salary', aliases: ['salary', 'monthly salary', 'base salary'], required: true },
+  { key: 'currency', label: 'Currency', aliases: ['currency', 'ccy'] },
+  { key: 'status', label: 'Status', aliases: ['status', 'paid'] },
+  { key: 'paymentDate', label: 'Payment Date', aliases: ['payment date', 'paid on', 'date paid'] }
+];
+
+export function normalizeName(name) {
+  return String(name || '')
+    .trim()
+    .replace(/\s+/g, ' ')
+    .toLowerCase();
+}
+
+export function guessMapping(headers) {
+  const normalized = headers.map((header) => normalizeName(header));
+  const mapping = {};
+  for (const field of IMPORT_FIELDS) {
+    mapping[field.key] = normalized.findIndex((header) => field.aliases.includes(header));
+  }
+  return mapping;
+}
+
+function parseSalary(value) {
+  const cleaned = String(value ?? '').replace(/[$,\s]/g, '');
+  return cleaned === '' ? NaN : Number(cleaned);
+}
+
+function parseStatus(value) {
+  const normalized = normalizeName(value);
+  if (!normalized) return { value: undefined };
+  if (['paid', 'overpaid', 'yes', 'true', '1'].includes(normalized)) return { value: true };
+  if (['pending', 'unpaid', 'no', 'false', '0'].includes(normalized)) return { value: false };
+  if (['partial', 'partially paid'].includes(normalized)) return { value: undefined };
+  return { error: `Unknown status "${value}". Use Paid or Pending.` };
+}
+
+function parsePaymentDate(value) {
+  if (typeof value === 'number') return { value: excelSerialToDate(value) };
+  const raw = String(value ?? '').trim();
+  if (!raw) return { value: undefined };
+  if (/^\d{4}-\d{2}-\d{2}$/.test(raw) && !Number.isNaN(Date.parse(raw))) return { value: raw };
+  return { error: `Payment date "${raw}" must use the YYYY-MM-DD format.` };
+}
+
+export function planImport(rows, mapping, { employees, period, rosterIds, monthRecords, allowPayments }) {
+  const byName = new Map(employees.map((employee) => [normalizeName(employee.name), employee]));
+  const seen = new Set();
+
+  return rows.map((cells, index) => {
+    const cell = (key) => (mapping[key] >= 0 ? cells[mapping[key]] : undefined);
+    const read = (key) => String(cell(key) ?? '').trim();
+    const name = read('name').replace(/\s+/g, ' ');
+    const department = read('department');
+    const salary = parseSalary(read('salary'));
+    const currency = normalizeCurrency(read('currency'));
+    const status = parseStatus(read('status'));
+    const paymentDate = parsePaymentDate(cell('paymentDate'));
+    const errors = [];
+
+    const inputError = validateEmployeeInput({ name, department, salary });
+    if (inputError) errors.push(inputError);
+    if (read('currency') && !currency) errors.push(`Unknown currency "${read('currency')}".`);
+    if (status.error) errors.push(status.error);
+    if (paymentDate.error) errors.push(paymentDate.error);
+
+    const key = normalizeName(name);
+    if (key && seen.has(key)) errors.push('This employee appears more than once in the file.');
+    seen.add(key);
+
+    const existing = byName.get(key);
+    const hasPayment = status.value !== undefined || paymentDate.value !== undefined;
+    if (hasPayment && !allowPayments) {
+      errors.push('Payment columns cannot be imported while the period is closed.');
+    }
+    if (hasPayment && existing && !rosterIds.has(existing.id)) {
+      errors.push(`${existing.name} is not paid in this period.`);
+    }
+    if (status.value === true && !['approved', 'paid'].includes(recordStage(existing && monthRecords[existing.id]))) {
+      errors.push('Only approved records can be imported as paid.');
+    }
+
+    const item = {
+      row: index + 2,
+      name,
+      department,
+      salary,
+      currency,
+      paid: status.value,
+      paymentDate: paymentDate.value,
+      employeeId: existing?.id || '',
+      errors,
+      changes: []
+    };
+
+    if (errors.length) return { ...item, kind: 'error' };
+    if (!existing) return { ...item, kind: 'new' };
+
+    const record = monthRecords[existing.id] || { payments: [] };
+    const currentSalary = salaryForMonth(existing, period.month);
+    const currentCurrency = currencyForMonth(existing, period.month);
+    if (status.value === false && record.payments?.length) {
+      return {
+        ...item,
+        kind: 'error',
+        errors: ['Recorded payments cannot be removed by import. Remove them in the payroll table instead.']
+      };
+    }
+    if (existing.department !== department) item.changes.push(`Department: ${existing.department} → ${department}`);
+    if (currentSalary !== salary) item.changes.push(`Salary: ${currentSalary} → ${salary}`);
+    if (currency && currentCurrency !== currency) item.changes.push(`Currency: ${currentCurrency} → ${currency}`);
+    const { net } = computePay(
+      payForPeriod({ ...existing, currency: currency || currentCurrency }, salary, period),
+      record,
+      period.key
+    );
+    if (status.value === true && !isFullyPaid(record, net)) {
+      item.changes.push(
+        `Payment: ${outstandingAmount(record, net)} on ${paymentDate.value || 'today'} settles the balance`
+      );
+    }
+
+    return { ...item, kind: item.changes.length ? 'updated' : 'unchanged' };
+  });
+}
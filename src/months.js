@@ -0,0 +1,100 @@
+import { monthRates } from './currency.js';
+import { currencyForMonth, isActiveInPeriod, salaryForMonth } from './employees.js';
+import { describePeriod, payForPeriod, scheduleIdFor } from './schedules.js';
+
+export function isMonthClosed(state, month) {
+  return Boolean(state.monthClosures?.[month]?.closed);
+}
+
+export function periodEmployees(state, period, ids = null) {
+  const { schedule, start, end } = describePeriod(state.settings.paySchedules, period);
+  return state.employees.filter(
+    (employee) =>
+      (!ids || ids.has(employee.id)) &&
+      scheduleIdFor(state.settings, employee) === schedule.id &&
+      isActiveInPeriod(employee, start, end)
+  );
+}
+
+export function monthRoster(state, period, ids = null) {
+  const monthRecords = state.records[period] || {};
+
+  if (isMonthClosed(state, period)) {
+    return Object.entries(monthRecords)
+      .filter(([, record]) => record.snapshot)
+      .map(([id, record]) => ({ id, ...record.snapshot }));
+  }
+
+  const described = describePeriod(state.settings.paySchedules, period);
+  return periodEmployees(state, period, ids).map((employee) =>
+    payForPeriod(
+      { ...employee, currency: currencyForMonth(employee, described.month) },
+      salaryForMonth(employee, described.month),
+      described
+    )
+  );
+}
+
+export function closeMonth(state, month, actor) {
+  const monthRecords = state.records[month] || {};
+  const frozen = {};
+
+  for (const employee of monthRoster(state, month)) {
+    const record = monthRecords[employee.id] || { paid: false, paymentDate: '', payments: [], proofs: [] };
+    frozen[employee.id] = {
+      ...record,
+      payments: [...(record.payments || [])],
+      proofs: [...(record.proofs || [])],
+      snapshot: {
+        name: employee.name,
+        department: employee.department,
+        salary: employee.salary,
+        currency: employee.currency,
+        payComponents: employee.payComponents || []
+      }
+    };
+  }
+
+  const closure = state.monthClosures?.[month];
+  const closedAt = new Date().toISOString();
+
+  return {
+    ...state,
+    records: { ...state.records, [month]: frozen },
+    monthClosures: {
+      ...state.monthClosures,
+      [month]: {
+        closed: true,
+        closedAt,
+        closedBy: actor,
+        rates: monthRates(state, month),
+        history: [...(closure?.history || []), { action: 'closed', by: actor, at: closedAt }]
+      }
+    }
+  };
+}
+
+export function reopenMonth(state, month, actor, reason) {
+  const closure = state.monthClosures?.[month];
+  const reopened = {};
+
+  for (const [id, record] of Object.entries(state.records[month] || {})) {
+    const { snapshot, ...rest } = record;
+    reopened[id] = rest;
+  }
+
+  return {
+    ...state,
+    records: { ...state.records, [month]: reopened },
+    monthClosures: {
+      ...state.monthClosures,
+      [month]: {
+        closed: false,
+        history: [
+          ...(closure?.history || []),
+          { action: 'reopened', by: actor, at: new Date().toISOString(), reason }
+        ]
+      }
+    }
+  };
+}
@@ -0,0 +1,93 @@
+import { periodMonth } from './schedules.js';
+
+export const COMPONENT_KINDS = {
+  earning: 'Earning',
+  deduction: 'Deduction'
+};
+
+export const COMPONENT_PRESETS = {
+  earning: ['Bonus', 'Overtime', 'Reimbursement'],
+  deduction: ['Tax withholding', 'Benefits', 'Loan repayment']
+};
+
+export const COMPONENT_BASES = {
+  fixed: 'Fixed amount',
+  percent: 'Percent'
+};
+
+function roundCents(value) {
+  return Math.round(value * 100) / 100;
+}
+
+export function normalizeComponent(component) {
+  return {
+    id: component.id,
+    name: String(component.name || '').trim(),
+    kind: component.kind === 'deduction' ? 'deduction' : 'earning',
+    basis: component.basis === 'percent' ? 'percent' : 'fixed',
+    amount: Number(component.amount) || 0,
+    from: component.from || '',
+    to: component.to || ''
+  };
+}
+
+export function componentAppliesToMonth(component, month) {
+  if (component.from && component.from > month) return false;
+  if (component.to && component.to < month) return false;
+  return true;
+}
+
+export function validateComponent(component) {
+  if (!component.name) return 'Each pay component needs a name.';
+  if (!Number.isFinite(component.amount) || component.amount < 0) {
+    return 'Pay component amounts must be zero or a positive number.';
+  }
+  if (component.basis === 'percent' && component.amount > 100) return 'Percentages cannot exceed 100.';
+  if (component.from && component.to && component.to < component.from) {
+    return 'A pay component cannot end before it starts.';
+  }
+  return '';
+}
+
+export function describeComponent(component) {
+  const value = component.basis === 'percent' ? `${component.amount}%` : component.amount;
+  const base = component.basis === 'percent' ? (component.kind === 'earning' ? ' of base' : ' of gross') : '';
+  return `${component.name} (${value}${base}${component.cappedFrom === undefined ? '' : ', capped at gross pay'})`;
+}
+
+export function computePay(employee, record, period) {
+  const base = Number(employee.salary) || 0;
+  const month = periodMonth(period);
+  const components = [
+    ...(employee.payComponents || []).filter((component) => componentAppliesToMonth(component, month)),
+    ...(record?.adjustments || [])
+  ];
+
+  const earnings = components
+    .filter((component) => component.kind === 'earning')
+    .map((component) => ({
+      ...component,
+      value: roundCents(component.basis === 'percent' ? (base * component.amount) / 100 : component.amount)
+    }));
+  const gross = roundCents(earnings.reduce((sum, line) => sum + line.value, base));
+
+  let remaining = gross;
+  const deductions = components
+    .filter((component) => component.kind === 'deduction')
+    .map((component) => {
+      const full = roundCents(component.basis === 'percent' ? (gross * component.amount) / 100 : component.amount);
+      const value = Math.max(0, Math.min(full, remaining));
+      remaining = roundCents(remaining - value);
+      return { ...component, value, ...(value < full ? { cappedFrom: full } : {}) };
+    });
+  const totalDeductions = roundCents(deductions.reduce((sum, line) => sum + line.value, 0));
+
+  return {
+    base,
+    earnings,
+    deductions,
+    gross,
+    totalDeductions,
+    net: roundCents(gross - totalDeductions)
+  };
+}
@@ -0,0 +1,83 @@
+import { addDays, daysBetween, isDate, lastDayOfMonth } from './schedules.js';
+
+export const PAYDAY_RULES = {
+  lastBusinessDay: 'Last business day of the month',
+  fixedDay: 'Fixed day of the month'
+};
+
+export const PAYDAY_SHIFTS = {
+  before: 'Previous business day',
+  after: 'Next business day'
+};
+
+export const DEADLINE_STATES = {
+  upcoming: 'Upcoming',
+  due: 'Due soon',
+  overdue: 'Overdue'
+};
+
+export function normalizeHolidays(holidays) {
+  const byDate = new Map();
+  for (const holiday of Array.isArray(holidays) ? holidays : []) {
+    if (isDate(holiday?.date)) byDate.set(holiday.date, String(holiday.name || '').trim() || 'Holiday');
+  }
+  return [...byDate.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([date, name]) => ({ date, name }));
+}
+
+export function normalizePayday(payday) {
+  const day = Math.round(Number(payday?.day));
+  const reminderDays = Math.round(Number(payday?.reminderDays));
+  return {
+    rule: PAYDAY_RULES[payday?.rule] ? payday.rule : 'lastBusinessDay',
+    day: day >= 1 && day <= 31 ? day : 25,
+    shift: PAYDAY_SHIFTS[payday?.shift] ? payday.shift : 'before',
+    reminderDays: reminderDays >= 0 && reminderDays <= 14 ? reminderDays : 3,
+    holidays: normalizeHolidays(payday?.holidays)
+  };
+}
+
+export function validatePayday(payday) {
+  if (payday.rule === 'fixedDay' && !(Number.isInteger(payday.day) && payday.day >= 1 && payday.day <= 31)) {
+    return 'The payday must be a day between 1 and 31.';
+  }
+  if (!Number.isInteger(payday.reminderDays) || payday.reminderDays < 0 || payday.reminderDays > 14) {
+    return 'Reminders can start between 0 and 14 days before payday.';
+  }
+  if (payday.holidays.some((holiday) => !isDate(holiday.date))) return 'Each holiday needs a valid date.';
+  return '';
+}
+
+export function isBusinessDay(date, holidays) {
+  const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+  return weekday !== 0 && weekday !== 6 && !holidays.some((holiday) => holiday.date === date);
+}
+
+function toBusinessDay(date, shift, holidays) {
+  let next = date;
+  while (!isBusinessDay(next, holidays)) next = addDays(next, shift === 'after' ? 1 : -1);
+  return next;
+}
+
+export function paydayFor(period, payday) {
+  if (period.schedule.frequency !== 'monthly') {
+    return toBusinessDay(period.end, payday.rule === 'fixedDay' ? payday.shift : 'before', payday.holidays);
+  }
+  if (payday.rule === 'lastBusinessDay') return toBusinessDay(period.end, 'before', payday.holidays);
+
+  const last = lastDayOfMonth(period.month);
+  const day = Math.min(payday.day, Number(last.slice(8, 10)));
+  return toBusinessDay(`${period.month}-${String(day).padStart(2, '0')}`, payday.shift, payday.holidays);
+}
+
+export function deadlineFor(date, today, reminderDays) {
+  const days = daysBetween(today, date);
+  if (days < 0) return { state: 'overdue', date, days };
+  return { state: days <= reminderDays ? 'due' : 'upcoming', date, days };
+}
+
+export function deadlineLabel(deadline) {
+  const plural = (count) => `${count} ${count === 1 ? 'day' : 'days'}`;
+  if (deadline.state === 'overdue') return `Overdue by ${plural(-deadline.days)}`;
+  if (deadline.days === 0) return 'Due today';
+  return `Due in ${plural(deadline.days)}`;
+}
@@ -0,0 +1,123 @@
+import { recordStage } from './workflow.js';
+
+export const PAYMENT_METHODS = ['Bank transfer', 'Check', 'Cash', 'Payroll card', 'Other'];
+
+export const PAYMENT_STATUSES = {
+  unpaid: 'Unpaid',
+  partial: 'Partially paid',
+  paid: 'Paid',
+  overpaid: 'Overpaid'
+};
+
+function roundCents(value) {
+  return Math.round(value * 100) / 100;
+}
+
+export function paidAmount(record) {
+  return roundCents((record?.payments || []).reduce((sum, payment) => sum + Number(payment.amount || 0), 0));
+}
+
+export function outstandingAmount(record, due) {
+  return roundCents(Number(due || 0) - paidAmount(record));
+}
+
+export function paymentStatus(record, due) {
+  const paid = paidAmount(record);
+  if (!(record?.payments || []).length) return 'unpaid';
+  if (paid > Number(due || 0)) return 'overpaid';
+  if (paid === Number(due || 0)) return 'paid';
+  return 'partial';
+}
+
+export function isFullyPaid(record, due) {
+  const status = paymentStatus(record, due);
+  return status === 'paid' || status === 'overpaid';
+}
+
+function syncPaymentFields(record, due) {
+  const payments = [...(record.payments || [])].sort((a, b) => a.date.localeCompare(b.date));
+  const synced = { ...record, payments };
+  const paid = isFullyPaid(synced, due);
+  const stage = recordStage(record);
+
+  return {
+    ...synced,
+    paid,
+    paymentDate: payments[payments.length - 1]?.date || '',
+    stage: stage === 'approved' || stage === 'paid' ? (paid ? 'paid' : 'approved') : stage
+  };
+}
+
+export function canRecordPayments(record) {
+  const stage = recordStage(record);
+  return stage === 'approved' || stage === 'paid';
+}
+
+export function addPayment(record, payment, due) {
+  if (!canRecordPayments(record)) return record;
+  return syncPaymentFields({ ...record, payments: [...(record.payments || []), payment] }, due);
+}
+
+export function removePayment(record, paymentId, due) {
+  return syncPaymentFields(
+    { ...record, payments: (record.payments || []).filter((payment) => payment.id !== paymentId) },
+    due
+  );
+}
+
+export function payBalance(record, due, { id, date, method = PAYMENT_METHODS[0] }) {
+  const amount = outstandingAmount(record, due);
+  if (amount <= 0) return record;
+  return addPayment(record, { id, amount, date, method, proofId: '' }, due);
+}
+
+export function unlinkProof(record, proofId) {
+  return {
+    ...record,
+    payments: (record.payments || []).map((payment) =>
+      payment.proofId === proofId ? { ...payment, proofId: '' } : payment
+    )
+  };
+}
+
+export function migrateLegacyPayments(records, salaryFor) {
+  const migrated = {};
+
+  for (const [month, monthRecords] of Object.entries(records)) {
+    migrated[month] = {};
+    for (const [employeeId, record] of Object.entries(monthRecords)) {
+      if (Array.isArray(record.payments)) {
+        migrated[month][employeeId] = record;
+        continue;
+      }
+
+      const amount = record.snapshot?.salary ?? salaryFor(employeeId, month);
+      migrated[month][employeeId] = {
+        ...record,
+        payments: record.paid
+          ? [
+              {
+                id: `legacy-${month}-${employeeId}`,
+                amount,
+                date: record.paymentDate || '',
+                method: 'Other',
+                proofId: ''
+              }
+            ]
+          : []
+      };
+    }
+  }
+
+  return migrated;
+}
+
+export function describePayments(record) {
+  return (record?.payments || [])
+    .map(
+      (payment) =>
+        `${payment.amount} on ${payment.date || 'unknown date'} via ${payment.method}` +
+        (payment.batchFile ? ` (${payment.batchFile})` : '')
+    )
+    .join('; ');
+}
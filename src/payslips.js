@@ -0,0 +1,244 @@
+import { zipSync } from 'fflate';
+import { formatAmount, periodLabel } from './format.js';
+import { computePay, describeComponent } from './pay.js';
+import { canEncode, createPdf, PAGE_HEIGHT, PAGE_WIDTH } from './pdfWriter.js';
+import { periodSlug } from './schedules.js';
+
+export const DEFAULT_ACCENT = '#0a9b8f';
+
+export function normalizeBranding(branding) {
+  return {
+    companyName: String(branding?.companyName || '').trim(),
+    address: String(branding?.address || '').trim(),
+    accentColor: /^#[0-9a-f]{6}$/i.test(branding?.accentColor || '') ? branding.accentColor : DEFAULT_ACCENT,
+    footer: String(branding?.footer || '').trim()
+  };
+}
+
+export function payslipNumber(period, employeeId) {
+  return `PS-${periodSlug(period)}-${String(employeeId).slice(0, 8).toUpperCase()}`;
+}
+
+export function payslipData(employee, record, period, issuedAt = new Date().toISOString()) {
+  const pay = computePay(employee, record, period);
+  const payments = [...(record?.payments || [])].sort((a, b) => a.date.localeCompare(b.date));
+
+  return {
+    number: payslipNumber(period, employee.id),
+    month: period,
+    issuedAt,
+    employee: {
+      id: employee.id,
+      name: employee.name,
+      department: employee.department,
+      currency: employee.currency
+    },
+    earnings: [
+      { label: 'Base salary', value: pay.base },
+      ...pay.earnings.map((line) => ({ label: describeComponent(line), value: line.value }))
+    ],
+    deductions: pay.deductions.map((line) => ({ label: describeComponent(line), value: line.value })),
+    gross: pay.gross,
+    totalDeductions: pay.totalDeductions,
+    net: pay.net,
+    paymentDate: record?.paymentDate || '',
+    payments: payments.map((payment) => ({ date: payment.date, amount: payment.amount, method: payment.method })),
+    proofs: (record?.proofs || []).map((proof) => proof.fileName)
+  };
+}
+
+export function payslipFileName(data, extension) {
+  const slug = data.employee.name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+  return `${data.number.toLowerCase()}-${slug || 'employee'}.${extension}`;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+export function payslipHtml(data, branding) {
+  const money = (value) => escapeHtml(formatAmount(value, data.employee.currency));
+  const row = (label, value, className = '') =>
+    `<tr class="${className}"><td>${escapeHtml(label)}</td><td class="num">${money(value)}</td></tr>`;
+  const rows = (lines) => lines.map((line) => row(line.label, line.value)).join('');
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>${escapeHtml(`Payslip ${data.employee.name} ${periodLabel(data.month)}`)}</title>
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; color: #132126; margin: 0; padding: 32px; }
+  .slip { max-width: 720px; margin: 0 auto; }
+  header { background: ${branding.accentColor}; color: #fff; padding: 18px 22px; border-radius: 10px; }
+  header h1 { margin: 0; font-size: 22px; }
+  header p { margin: 4px 0 0; white-space: pre-line; opacity: 0.9; }
+  h2 { margin: 24px 0 4px; font-size: 18px; }
+  h3 { margin: 20px 0 6px; font-size: 13px; text-transform: uppercase; color: ${branding.accentColor}; }
+  .meta { display: grid; grid-template-columns: repeat(2, 1fr); gap: 4px 24px; font-size: 13px; }
+  table { width: 100%; border-collapse: collapse; font-size: 13px; }
+  td { padding: 5px 0; border-bottom: 1px solid #e3e6e8; }
+  .num { text-align: right; }
+  .total td { font-weight: bold; }
+  .net { display: flex; justify-content: space-between; margin-top: 18px; padding: 12px 16px; font-size: 18px;
+    font-weight: bold; border: 2px solid ${branding.accentColor}; border-radius: 10px; }
+  footer { margin-top: 28px; font-size: 11px; color: #4f5b61; white-space: pre-line; }
+  @media print { body { padding: 0; } }
+</style>
+</head>
+<body>
+<div class="slip">
+  <header>
+    <h1>${escapeHtml(branding.companyName || 'Payslip')}</h1>
+    ${branding.address ? `<p>${escapeHtml(branding.address)}</p>` : ''}
+  </header>
+  <h2>Payslip · ${escapeHtml(periodLabel(data.month))}</h2>
+  <div class="meta">
+    <div>Employee: <strong>${escapeHtml(data.employee.name)}</strong></div>
+    <div>Payslip no.: ${escapeHtml(data.number)}</div>
+    <div>Department: ${escapeHtml(data.employee.department)}</div>
+    <div>Issued: ${escapeHtml(data.issuedAt.slice(0, 10))}</div>
+    <div>Currency: ${escapeHtml(data.employee.currency)}</div>
+    <div>Payment date: ${escapeHtml(data.paymentDate || 'Not paid yet')}</div>
+  </div>
+  <h3>Earnings</h3>
+  <table>${rows(data.earnings)}${row('Gross pay', data.gross, 'total')}</table>
+  <h3>Deductions</h3>
+  <table>${rows(data.deductions)}${row('Total deductions', data.totalDeductions, 'total')}</table>
+  <div class="net"><span>Net pay</span><span>${money(data.net)}</span></div>
+  ${
+    data.payments.length
+      ? `<h3>Payments</h3><table>${rows(
+          data.payments.map((payment) => ({ label: `${payment.date} · ${payment.method}`, value: payment.amount }))
+        )}</table>`
+      : ''
+  }
+  ${
+    data.proofs.length
+      ? `<h3>Proof of payment</h3><p>${data.proofs.map(escapeHtml).join('<br />')}</p>`
+      : ''
+  }
+  ${branding.footer ? `<footer>${escapeHtml(branding.footer)}</footer>` : ''}
+</div>
+</body>
+</html>
+`;
+}
+
+export function payslipPdf(data, branding) {
+  const pdf = createPdf();
+  const money = (value) => {
+    const text = formatAmount(value, data.employee.currency);
+    return canEncode(text) ? text : formatAmount(value, data.employee.currency, 'code');
+  };
+  const left = 48;
+  const right = PAGE_WIDTH - 48;
+  const footerLines = branding.footer ? branding.footer.split('\n').slice(0, 4) : [];
+  const bottom = PAGE_HEIGHT - 72;
+  let y = 40;
+
+  const footer = () =>
+    footerLines.forEach((line, index) => pdf.text(left, 790 + index * 11, line, { size: 8, color: '#4f5b61' }));
+  const ensure = (height) => {
+    if (y + height <= bottom) return;
+    footer();
+    pdf.addPage();
+    y = 48;
+    pdf.text(left, y, `${data.employee.name} - ${periodLabel(data.month)} (continued)`, {
+      size: 9,
+      color: '#4f5b61'
+    });
+    y += 8;
+  };
+
+  const addressLines = branding.address ? branding.address.split('\n').slice(0, 3) : [];
+  const headerHeight = 44 + addressLines.length * 13;
+  pdf.rect(left - 12, y, right - left + 24, headerHeight, { fill: branding.accentColor });
+  pdf.text(left, y + 28, branding.companyName || 'Payslip', { size: 18, bold: true, color: '#ffffff' });
+  addressLines.forEach((line, index) => pdf.text(left, y + 44 + index * 13, line, { size: 9, color: '#ffffff' }));
+  y += headerHeight + 32;
+
+  pdf.text(left, y, `Payslip - ${periodLabel(data.month)}`, { size: 15, bold: true });
+  y += 22;
+  const meta = [
+    ['Employee', data.employee.name, 'Payslip no.', data.number],
+    ['Department', data.employee.department, 'Issued', data.issuedAt.slice(0, 10)],
+    ['Currency', data.employee.currency, 'Payment date', data.paymentDate || 'Not paid yet']
+  ];
+  for (const [labelA, valueA, labelB, valueB] of meta) {
+    pdf.text(left, y, `${labelA}:`, { size: 9, color: '#4f5b61' });
+    pdf.text(left + 70, y, valueA, { size: 10, bold: true });
+    pdf.text(left + 270, y, `${labelB}:`, { size: 9, color: '#4f5b61' });
+    pdf.text(left + 350, y, valueB, { size: 10 });
+    y += 15;
+  }
+
+  const section = (title, lines, totalLabel, total) => {
+    ensure(52);
+    y += 14;
+    pdf.text(left, y, title.toUpperCase(), { size: 9, bold: true, color: branding.accentColor });
+    y += 6;
+    for (const line of lines) {
+      ensure(16);
+      y += 16;
+      pdf.text(left, y, line.label, { size: 10 });
+      pdf.text(right, y, money(line.value), { size: 10, align: 'right' });
+      pdf.line(left, y + 5, right, y + 5);
+    }
+    ensure(24);
+    y += 16;
+    pdf.text(left, y, totalLabel, { size: 10, bold: true });
+    pdf.text(right, y, money(total), { size: 10, bold: true, align: 'right' });
+    y += 8;
+  };
+
+  section('Earnings', data.earnings, 'Gross pay', data.gross);
+  section('Deductions', data.deductions, 'Total deductions', data.totalDeductions);
+
+  ensure(66);
+  y += 16;
+  pdf.rect(left - 12, y, right - left + 24, 34, { fill: branding.accentColor });
+  pdf.text(left, y + 22, 'Net pay', { size: 14, bold: true, color: '#ffffff' });
+  pdf.text(right, y + 22, money(data.net), { size: 14, bold: true, color: '#ffffff', align: 'right' });
+  y += 50;
+
+  if (data.payments.length) {
+    section(
+      'Payments',
+      data.payments.map((payment) => ({ label: `${payment.date} - ${payment.method}`, value: payment.amount })),
+      'Total paid',
+      data.payments.reduce((sum, payment) => sum + payment.amount, 0)
+    );
+  }
+
+  if (data.proofs.length) {
+    ensure(28);
+    y += 14;
+    pdf.text(left, y, 'PROOF OF PAYMENT', { size: 9, bold: true, color: branding.accentColor });
+    for (const fileName of data.proofs) {
+      ensure(14);
+      y += 14;
+      pdf.text(left, y, fileName, { size: 9 });
+    }
+  }
+
+  footer();
+
+  return new Blob([pdf.toBytes()], { type: 'application/pdf' });
+}
+
+export async function payslipArchive(slips, branding) {
+  const files = {};
+  for (const data of slips) {
+    files[payslipFileName(data, 'pdf')] = new Uint8Array(await payslipPdf(data, branding).arrayBuffer());
+    files[payslipFileName(data, 'html')] = new TextEncoder().encode(payslipHtml(data, branding));
+  }
+  return new Blob([zipSync(files)], { type: 'application/zip' });
+}
@@ -0,0 +1,58 @@
+let pdfjsPromise = null;
+
+function loadPdfjs() {
+  if (!pdfjsPromise) {
+    pdfjsPromise = Promise.all([
+      import('pdfjs-dist'),
+      import('pdfjs-dist/build/pdf.worker.min.mjs?url')
+    ]).then(([pdfjs, worker]) => {
+      pdfjs.GlobalWorkerOptions.workerSrc = worker.default;
+      return pdfjs;
+    });
+  }
+  return pdfjsPromise;
+}
+
+export async function openPdf(blob) {
+  const pdfjs = await loadPdfjs();
+  return pdfjs.getDocument({ data: new Uint8Array(await blob.arrayBuffer()) }).promise;
+}
+
+export async function pdfText(pdf) {
+  const pages = [];
+  for (let number = 1; number <= pdf.numPages; number += 1) {
+    const page = await pdf.getPage(number);
+    const content = await page.getTextContent();
+    let line = '';
+    const lines = [];
+    for (const item of content.items) {
+      line += item.str;
+      if (item.hasEOL) {
+        lines.push(line);
+        line = '';
+      } else {
+        line += ' ';
+      }
+    }
+    lines.push(line);
+    pages.push(lines.map((text) => text.replace(/\s+/g, ' ').trim()).filter(Boolean).join('\n'));
+  }
+  return pages.join('\n');
+}
+
+export async function extractPdfText(blob) {
+  const pdf = await openPdf(blob);
+  try {
+    return await pdfText(pdf);
+  } finally {
+    pdf.destroy();
+  }
+}
+
+export function renderPage(page, canvas, width) {
+  const unscaled = page.getViewport({ scale: 1 });
+  const viewport = page.getViewport({ scale: width / unscaled.width });
+  canvas.width = Math.floor(viewport.width);
+  canvas.height = Math.floor(viewport.height);
+  return page.render({ canvasContext: canvas.getContext('2d'), viewport });
+}
@@ -0,0 +1,114 @@
+import { strToU8 } from 'fflate';
+
+export const PAGE_WIDTH = 595;
+export const PAGE_HEIGHT = 842;
+
+const WIN_ANSI = {
+  '€': 0x80,
+  '‚': 0x82,
+  '…': 0x85,
+  '’': 0x92,
+  '“': 0x93,
+  '”': 0x94,
+  '•': 0x95,
+  '–': 0x96,
+  '—': 0x97
+};
+const NARROW = new Set([...' .,:;|!il\'`()[]ftjI-']);
+const WIDE = new Set([...'mwMW@%']);
+
+export function canEncode(value) {
+  return [...String(value ?? '')].every((char) => (WIN_ANSI[char] ?? char.charCodeAt(0)) <= 0xff);
+}
+
+function encodeText(value) {
+  let encoded = '';
+  for (const char of String(value ?? '')) {
+    const code = WIN_ANSI[char] ?? char.charCodeAt(0);
+    if (code > 0xff || (code < 0x20 && code !== 0x09)) {
+      encoded += '?';
+    } else if (char === '(' || char === ')' || char === '\\') {
+      encoded += `\\${char}`;
+    } else if (code > 0x7e) {
+      encoded += `\\${code.toString(8).padStart(3, '0')}`;
+    } else {
+      encoded += char;
+    }
+  }
+  return encoded;
+}
+
+export function textWidth(value, size, bold = false) {
+  let units = 0;
+  for (const char of String(value ?? '')) {
+    if (NARROW.has(char)) units += 278;
+    else if (WIDE.has(char)) units += 833;
+    else if (char >= 'A' && char <= 'Z') units += 667;
+    else units += 556;
+  }
+  return (units * size * (bold ? 1.05 : 1)) / 1000;
+}
+
+function hexToRgb(hex) {
+  const match = /^#?([0-9a-f]{6})$/i.exec(hex || '');
+  if (!match) return [0, 0, 0];
+  const value = parseInt(match[1], 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255].map((channel) => (channel / 255).toFixed(3));
+}
+
+export function createPdf() {
+  const pages = [[]];
+  let ops = pages[0];
+
+  return {
+    addPage() {
+      ops = [];
+      pages.push(ops);
+    },
+    text(x, y, value, { size = 10, bold = false, color = '#132126', align = 'left' } = {}) {
+      const offset = align === 'right' ? textWidth(value, size, bold) : 0;
+      ops.push(
+        `BT ${hexToRgb(color).join(' ')} rg /${bold ? 'F2' : 'F1'} ${size} Tf ` +
+          `${(x - offset).toFixed(2)} ${(PAGE_HEIGHT - y).toFixed(2)} Td (${encodeText(value)}) Tj ET`
+      );
+    },
+    line(x1, y1, x2, y2, { color = '#d5d9db', width = 0.8 } = {}) {
+      ops.push(
+        `${hexToRgb(color).join(' ')} RG ${width} w ` +
+          `${x1} ${PAGE_HEIGHT - y1} m ${x2} ${PAGE_HEIGHT - y2} l S`
+      );
+    },
+    rect(x, y, width, height, { fill = '#132126' } = {}) {
+      ops.push(`${hexToRgb(fill).join(' ')} rg ${x} ${PAGE_HEIGHT - y - height} ${width} ${height} re f`);
+    },
+    toBytes() {
+      const pageIds = pages.map((_, index) => 5 + index * 2);
+      const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+        ...pages.flatMap((page, index) => {
+          const content = page.join('\n');
+          return [
+            `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+              `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`,
+            `<< /Length ${content.length} >>\nstream\n${content}\nendstream`
+          ];
+        })
+      ];
+
+      let output = '%PDF-1.4\n';
+      const offsets = objects.map((object, index) => {
+        const offset = output.length;
+        output += `${index + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+      });
+      const xref = output.length;
+      output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+      output += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+      output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+      return strToU8(output);
+    }
+  };
+}
@@ -0,0 +1,158 @@
+import { referencedProofs } from './backup.js';
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const AMOUNT_LABEL = /\b(amount|total|net|paid|payment|sum|transfer(?:red)?)\b/i;
+const PAYEE_LABEL = /\b(?:payee|pay to|paid to|beneficiary|recipient|employee|account name|name)\s*[:-]\s*(.+)$/i;
+const DATE_TOLERANCE_DAYS = 3;
+
+function parseAmount(raw) {
+  const cleaned = raw.replace(/\s/g, '');
+  const decimal = cleaned.match(/[.,](\d{2})$/);
+  const whole = (decimal ? cleaned.slice(0, -3) : cleaned).replace(/[.,]/g, '');
+  const value = Number(decimal ? `${whole}.${decimal[1]}` : whole);
+  return Number.isFinite(value) ? value : null;
+}
+
+function isoDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+function findAmounts(lines) {
+  const labelled = [];
+  const other = [];
+  const pattern = /(?:[$€£]|\b(?:USD|EUR|GBP)\b)?\s?(\d{1,3}(?:[,.\s]\d{3})+(?:[.,]\d{2})?|\d+[.,]\d{2})(?!\d)/g;
+
+  for (const line of lines) {
+    for (const match of line.matchAll(pattern)) {
+      const value = parseAmount(match[1]);
+      if (!value) continue;
+      (AMOUNT_LABEL.test(line) ? labelled : other).push(value);
+    }
+  }
+
+  return [...new Set([...labelled, ...other])];
+}
+
+function findDates(text) {
+  const dates = [];
+  const push = (date) => date && !dates.includes(date) && dates.push(date);
+
+  for (const match of text.matchAll(/\b(\d{4})-(\d{2})-(\d{2})\b/g)) {
+    push(isoDate(Number(match[1]), Number(match[2]), Number(match[3])));
+  }
+  for (const match of text.matchAll(/\b(\d{1,2})[/.](\d{1,2})[/.](\d{4})\b/g)) {
+    const [first, second, year] = [Number(match[1]), Number(match[2]), Number(match[3])];
+    push(isoDate(year, first, second));
+    push(isoDate(year, second, first));
+  }
+  for (const match of text.matchAll(/\b([A-Za-z]{3,9})\.? (\d{1,2}),? (\d{4})\b/g)) {
+    const month = MONTHS.indexOf(match[1].slice(0, 3).toLowerCase()) + 1;
+    if (month) push(isoDate(Number(match[3]), month, Number(match[2])));
+  }
+  for (const match of text.matchAll(/\b(\d{1,2}) ([A-Za-z]{3,9})\.?,? (\d{4})\b/g)) {
+    const month = MONTHS.indexOf(match[2].slice(0, 3).toLowerCase()) + 1;
+    if (month) push(isoDate(Number(match[3]), month, Number(match[1])));
+  }
+
+  return dates;
+}
+
+export function normalizeWords(value) {
+  return String(value || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+export function containsName(text, name) {
+  const words = new Set(normalizeWords(text));
+  const parts = normalizeWords(name);
+  return parts.length > 0 && parts.every((part) => words.has(part));
+}
+
+export function extractProofFields(text, employeeName) {
+  const lines = text.split('\n');
+  const labelledPayee = lines.map((line) => line.match(PAYEE_LABEL)?.[1]?.trim()).find(Boolean);
+  const amounts = findAmounts(lines).slice(0, 20);
+  const dates = findDates(text).slice(0, 20);
+
+  return {
+    amount: amounts[0] ?? null,
+    amounts,
+    date: dates[0] || '',
+    dates,
+    payee: labelledPayee || (containsName(text, employeeName) ? employeeName : ''),
+    nameFound: containsName(text, employeeName),
+    scannedAt: new Date().toISOString()
+  };
+}
+
+function daysApart(a, b) {
+  return Math.abs(Date.parse(a) - Date.parse(b)) / 86400000;
+}
+
+export function proofWarnings(proof, { name, amounts, dates }) {
+  const extracted = proof?.extracted;
+  if (!extracted) return [];
+  const warnings = [];
+
+  const expectedAmounts = amounts.filter((amount) => amount > 0);
+  if (!extracted.amounts.length) {
+    warnings.push('No amount found in the PDF.');
+  } else if (
+    expectedAmounts.length &&
+    !extracted.amounts.some((found) => expectedAmounts.some((amount) => Math.abs(found - amount) < 0.01))
+  ) {
+    warnings.push(`Amount ${extracted.amount} does not match ${expectedAmounts.join(' or ')}.`);
+  }
+
+  const expectedDates = dates.filter(Boolean);
+  if (!extracted.dates.length) {
+    warnings.push('No date found in the PDF.');
+  } else if (
+    expectedDates.length &&
+    !extracted.dates.some((found) => expectedDates.some((date) => daysApart(found, date) <= DATE_TOLERANCE_DAYS))
+  ) {
+    warnings.push(`Date ${extracted.date} does not match ${expectedDates.join(' or ')}.`);
+  }
+
+  const payeeMatches = extracted.payee ? containsName(extracted.payee, name) : false;
+  if (!extracted.nameFound && !payeeMatches) {
+    warnings.push(extracted.payee ? `Payee "${extracted.payee}" does not match ${name}.` : `${name} is not named.`);
+  }
+
+  return warnings;
+}
+
+export function expectedProofValues(employee, record, pay, proofId) {
+  const linked = (record?.payments || []).filter((payment) => payment.proofId === proofId);
+  if (linked.length) {
+    return {
+      name: employee.name,
+      amounts: linked.map((payment) => payment.amount),
+      dates: linked.map((payment) => payment.date).filter(Boolean)
+    };
+  }
+
+  const payments = record?.payments || [];
+  return {
+    name: employee.name,
+    amounts: [...new Set([pay.net, Number(employee.salary), ...payments.map((payment) => payment.amount)])],
+    dates: [...new Set([record?.paymentDate, ...payments.map((payment) => payment.date)])].filter(Boolean)
+  };
+}
+
+export function proofIntegrity(proof, sha256) {
+  if (!proof?.sha256) return 'unrecorded';
+  return proof.sha256 === sha256 ? 'verified' : 'changed';
+}
+
+export function findDuplicateProofs(state, sha256, exceptId = '') {
+  if (!sha256) return [];
+  return referencedProofs(state).filter((proof) => proof.sha256 === sha256 && proof.id !== exceptId);
+}
@@ -0,0 +1,87 @@
+import { containsName, normalizeWords } from './proofCheck.js';
+
+export const PROOF_ACCEPT = 'application/pdf,image/jpeg,image/png,.pdf,.jpg,.jpeg,.png';
+
+const IMAGE_TYPES = { jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png' };
+
+function extension(fileName) {
+  return String(fileName || '')
+    .split('.')
+    .pop()
+    .toLowerCase();
+}
+
+export function isPdfProof(file) {
+  return file?.type === 'application/pdf' || extension(file?.fileName || file?.name) === 'pdf';
+}
+
+export function isImageProof(file) {
+  return (
+    Object.values(IMAGE_TYPES).includes(file?.type) || Boolean(IMAGE_TYPES[extension(file?.fileName || file?.name)])
+  );
+}
+
+export function isProofFile(file) {
+  return isPdfProof(file) || isImageProof(file);
+}
+
+export function proofType(file) {
+  if (file.type) return file.type;
+  return isPdfProof(file) ? 'application/pdf' : IMAGE_TYPES[extension(file.name)] || '';
+}
+
+function fileNameWords(fileName) {
+  return normalizeWords(String(fileName).replace(/\.[^.]+$/, '').replace(/([a-z])([A-Z])/g, '$1 $2'));
+}
+
+function nameScore(words, employee, employees) {
+  const parts = normalizeWords(employee.name);
+  if (!parts.length) return { score: 0, reason: '' };
+  if (parts.every((part) => words.has(part))) return { score: 3, reason: 'Full name in file name' };
+
+  const unique = (part) =>
+    employees.filter((other) => normalizeWords(other.name).includes(part)).length === 1 && words.has(part);
+  const surname = parts[parts.length - 1];
+  if (parts.length > 1 && unique(surname)) return { score: 2, reason: 'Surname in file name' };
+  if (unique(parts[0])) return { score: 1, reason: 'First name in file name' };
+  return { score: 0, reason: '' };
+}
+
+export function matchProofFile(fileName, text, employees, netById = new Map()) {
+  const words = new Set(fileNameWords(fileName));
+  const amounts = text
+    ? new Set((text.match(/\d[\d,.\s]*[.,]\d{2}/g) || []).map((raw) => raw.replace(/\D/g, '')))
+    : null;
+
+  const scored = employees
+    .map((employee) => {
+      const byName = nameScore(words, employee, employees);
+      const reasons = byName.reason ? [byName.reason] : [];
+      let score = byName.score;
+
+      const id = String(employee.id || '').toLowerCase();
+      if (id.length >= 6 && fileName.toLowerCase().includes(id)) {
+        score += 3;
+        reasons.push('Employee ID in file name');
+      }
+      if (text && containsName(text, employee.name)) {
+        score += 2;
+        reasons.push('Name in PDF text');
+      }
+      const net = netById.get(employee.id);
+      if (amounts && net > 0 && amounts.has(net.toFixed(2).replace(/\D/g, ''))) {
+        score += 1;
+        reasons.push('Net pay in PDF text');
+      }
+
+      return { employeeId: employee.id, score, reasons };
+    })
+    .filter((entry) => entry.score > 0)
+    .sort((a, b) => b.score - a.score);
+
+  const [best, runnerUp] = scored;
+  if (!best || (runnerUp && runnerUp.score === best.score)) {
+    return { employeeId: '', reasons: best ? ['Several employees match equally'] : ['No match found'] };
+  }
+  return { employeeId: best.employeeId, reasons: best.reasons };
+}
@@ -0,0 +1,53 @@
+import { referencedProofs } from './backup.js';
+
+export const ORPHAN_GRACE_MS = 60 * 60 * 1000;
+
+function ownerName(state, proof) {
+  return (
+    state.employees.find((employee) => employee.id === proof.employeeId)?.name ||
+    state.records[proof.month]?.[proof.employeeId]?.snapshot?.name ||
+    'Unknown employee'
+  );
+}
+
+export function proofsInOtherStates(localStates, currentKey) {
+  return new Set(
+    localStates
+      .filter((entry) => entry.key !== currentKey)
+      .flatMap((entry) => referencedProofs(entry.raw).map((proof) => proof.id))
+  );
+}
+
+export function inspectProofStorage(state, stored, held = new Set(), elsewhere = new Set(), now = Date.now()) {
+  const references = new Map(referencedProofs(state).map((proof) => [proof.id, proof]));
+  const storedIds = new Set(stored.map((blob) => blob.id));
+
+  const blobs = stored
+    .map((blob) => {
+      const owner = references.get(blob.id);
+      return {
+        ...blob,
+        fileName: owner?.fileName || '',
+        employeeName: owner ? ownerName(state, owner) : '',
+        month: owner?.month || '',
+        orphan: !owner && !held.has(blob.id) && !elsewhere.has(blob.id),
+        held: !owner && held.has(blob.id),
+        elsewhere: !owner && !held.has(blob.id) && elsewhere.has(blob.id),
+        recent: !owner && Boolean(blob.storedAt) && now - Date.parse(blob.storedAt) < ORPHAN_GRACE_MS
+      };
+    })
+    .sort((a, b) => Number(b.orphan) - Number(a.orphan) || b.month.localeCompare(a.month) || a.id.localeCompare(b.id));
+
+  const dangling = [...references.values()]
+    .filter((proof) => !storedIds.has(proof.id))
+    .map((proof) => ({ ...proof, employeeName: ownerName(state, proof) }));
+  const orphans = blobs.filter((blob) => blob.orphan);
+
+  return {
+    blobs,
+    orphans,
+    dangling,
+    totalSize: blobs.reduce((sum, blob) => sum + blob.size, 0),
+    orphanSize: orphans.reduce((sum, blob) => sum + blob.size, 0)
+  };
+}
@@ -0,0 +1,177 @@
+import { convert, monthRates } from './currency.js';
+import { monthRoster } from './months.js';
+import { computePay } from './pay.js';
+import { paydayFor } from './paydays.js';
+import { isFullyPaid, paidAmount } from './payments.js';
+import { describePeriod, periodMonth } from './schedules.js';
+
+function ratio(part, whole) {
+  return whole ? Math.round((part / whole) * 1000) / 10 : null;
+}
+
+export function reportYears(state) {
+  return [...new Set(Object.keys(state.records).map((month) => month.slice(0, 4)))].sort().reverse();
+}
+
+export function reportMonths(state, year) {
+  return [
+    ...new Set(
+      Object.keys(state.records)
+        .filter((period) => period.startsWith(`${year}-`))
+        .map(periodMonth)
+    )
+  ].sort();
+}
+
+function periodRows(state, period) {
+  const rates = monthRates(state, period);
+  const records = state.records[period] || {};
+  const dueBy = paydayFor(describePeriod(state.settings.paySchedules, period), state.settings.payday);
+
+  return monthRoster(state, period).map((employee) => {
+    const record = records[employee.id] || { payments: [], proofs: [] };
+    const pay = computePay(employee, record, period);
+    const paid = paidAmount(record);
+    const fullyPaid = isFullyPaid(record, pay.net);
+    const toBase = (amount) => convert(amount, employee.currency, rates);
+
+    return {
+      month: periodMonth(period),
+      period,
+      employee,
+      record,
+      pay,
+      paid,
+      fullyPaid,
+      onTime: fullyPaid && (record.payments || []).every((payment) => payment.date <= dueBy),
+      hasProof: Boolean(record.proofs?.length),
+      base: rates.base,
+      converted: {
+        gross: toBase(pay.gross),
+        deductions: toBase(pay.totalDeductions),
+        net: toBase(pay.net),
+        paid: toBase(paid)
+      }
+    };
+  });
+}
+
+export function monthRows(state, month) {
+  return Object.keys(state.records)
+    .filter((period) => periodMonth(period) === month)
+    .sort()
+    .flatMap((period) => periodRows(state, period));
+}
+
+function roundCents(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function roundTotals(entry, keys) {
+  return { ...entry, ...Object.fromEntries(keys.map((key) => [key, roundCents(entry[key])])) };
+}
+
+function sumConverted(rows, key) {
+  return roundCents(rows.reduce((sum, row) => sum + (row.converted[key] ?? 0), 0));
+}
+
+export function buildReports(state, year) {
+  const baseCurrency = state.settings.baseCurrency;
+  const months = reportMonths(state, year);
+  const allRows = months.flatMap((month) => monthRows(state, month));
+  const otherBase = [...new Set(allRows.filter((row) => row.base !== baseCurrency).map((row) => row.month))];
+  const missingRates = [
+    ...new Set(
+      allRows.filter((row) => row.converted.net === null).map((row) => `${row.employee.currency} ${row.month}`)
+    )
+  ];
+  const rows = allRows.filter((row) => row.base === baseCurrency);
+
+  const trend = months.map((month) => {
+    const monthly = allRows.filter((row) => row.month === month);
+    const paidRows = monthly.filter((row) => row.fullyPaid);
+    const withPayments = monthly.filter((row) => row.record.payments?.length);
+
+    return {
+      month,
+      base: monthly[0]?.base || baseCurrency,
+      headcount: new Set(monthly.map((row) => row.employee.id)).size,
+      gross: sumConverted(monthly, 'gross'),
+      deductions: sumConverted(monthly, 'deductions'),
+      net: sumConverted(monthly, 'net'),
+      paid: sumConverted(monthly, 'paid'),
+      paidCount: paidRows.length,
+      onTimeRate: ratio(paidRows.filter((row) => row.onTime).length, monthly.length),
+      proofCoverage: ratio(withPayments.filter((row) => row.hasProof).length, withPayments.length)
+    };
+  });
+
+  const departments = new Map();
+  for (const row of rows) {
+    const department = row.employee.department || 'Unassigned';
+    const entry = departments.get(department) || {
+      department,
+      employees: new Set(),
+      gross: 0,
+      deductions: 0,
+      net: 0,
+      paid: 0,
+      byMonth: {}
+    };
+    entry.employees.add(row.employee.id);
+    entry.gross += row.converted.gross ?? 0;
+    entry.deductions += row.converted.deductions ?? 0;
+    entry.net += row.converted.net ?? 0;
+    entry.paid += row.converted.paid ?? 0;
+    entry.byMonth[row.month] = (entry.byMonth[row.month] || 0) + (row.converted.net ?? 0);
+    departments.set(department, entry);
+  }
+
+  const ytd = new Map();
+  for (const row of allRows) {
+    const entry = ytd.get(row.employee.id) || {
+      id: row.employee.id,
+      name: row.employee.name,
+      department: row.employee.department,
+      currency: row.employee.currency,
+      months: new Set(),
+      gross: 0,
+      deductions: 0,
+      net: 0,
+      paid: 0,
+      netBase: 0
+    };
+    entry.name = row.employee.name;
+    entry.department = row.employee.department;
+    entry.months.add(row.month);
+    if (row.employee.currency === entry.currency) {
+      entry.gross += row.pay.gross;
+      entry.deductions += row.pay.totalDeductions;
+      entry.net += row.pay.net;
+      entry.paid += row.paid;
+    }
+    if (row.base === baseCurrency) entry.netBase += row.converted.net ?? 0;
+    ytd.set(row.employee.id, entry);
+  }
+
+  return {
+    baseCurrency,
+    months,
+    otherBase,
+    missingRates,
+    trend,
+    departments: [...departments.values()]
+      .map((entry) => ({
+        ...roundTotals(entry, ['gross', 'deductions', 'net', 'paid']),
+        employees: entry.employees.size,
+        byMonth: Object.fromEntries(Object.entries(entry.byMonth).map(([month, net]) => [month, roundCents(net)]))
+      }))
+      .sort((a, b) => b.net - a.net),
+    ytd: [...ytd.values()]
+      .map((entry) => ({
+        ...roundTotals(entry, ['gross', 'deductions', 'net', 'paid', 'netBase']),
+        months: entry.months.size
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name))
+  };
+}
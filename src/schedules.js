@@ -0,0 +1,183 @@
+export const FREQUENCIES = {
+  monthly: 'Monthly',
+  semimonthly: 'Semi-monthly',
+  biweekly: 'Biweekly',
+  weekly: 'Weekly'
+};
+
+const PERIODS_PER_YEAR = { monthly: 12, semimonthly: 24, biweekly: 26, weekly: 52 };
+const PERIOD_DAYS = { biweekly: 14, weekly: 7 };
+
+export const DEFAULT_SCHEDULE_ID = 'monthly';
+const MONTHLY_SCHEDULE = { id: DEFAULT_SCHEDULE_ID, name: 'Monthly', frequency: 'monthly', anchorDate: '' };
+
+function parseDate(value) {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+function isoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+export function addDays(value, days) {
+  const date = parseDate(value);
+  date.setUTCDate(date.getUTCDate() + days);
+  return isoDate(date);
+}
+
+export function daysBetween(from, to) {
+  return Math.round((parseDate(to) - parseDate(from)) / 86400000);
+}
+
+export function lastDayOfMonth(month) {
+  const [year, mon] = month.split('-').map(Number);
+  return isoDate(new Date(Date.UTC(year, mon, 0)));
+}
+
+export function isDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !Number.isNaN(Date.parse(value));
+}
+
+export function isPeriodKey(key) {
+  return /^\d{4}-\d{2}$/.test(key || '') || /^\d{4}-\d{2}-\d{2}@[\w-]+$/.test(key || '');
+}
+
+export function periodMonth(key) {
+  return key.slice(0, 7);
+}
+
+export function periodEnd(key) {
+  return key.includes('@') ? key.split('@')[0] : lastDayOfMonth(key);
+}
+
+export function periodScheduleId(key) {
+  return key.includes('@') ? key.split('@')[1] : DEFAULT_SCHEDULE_ID;
+}
+
+export function periodSlug(key) {
+  return key.replace('@', '-');
+}
+
+export function normalizeSchedules(schedules) {
+  const custom = (Array.isArray(schedules) ? schedules : [])
+    .filter((schedule) => /^[\w-]+$/.test(schedule?.id || '') && schedule.id !== DEFAULT_SCHEDULE_ID)
+    .map((schedule) => {
+      const frequency =
+        PERIODS_PER_YEAR[schedule.frequency] && schedule.frequency !== 'monthly' ? schedule.frequency : 'biweekly';
+      return {
+        id: schedule.id,
+        name: String(schedule.name || '').trim() || FREQUENCIES[frequency],
+        frequency,
+        anchorDate: isDate(schedule.anchorDate) ? schedule.anchorDate : ''
+      };
+    });
+  return [MONTHLY_SCHEDULE, ...custom];
+}
+
+export function normalizeDepartmentSchedules(assignments) {
+  return Object.fromEntries(
+    Object.entries(assignments || {}).filter(([department, id]) => department && typeof id === 'string' && id)
+  );
+}
+
+export function validateSchedule(schedule, schedules) {
+  if (!schedule.name.trim()) return 'Each pay schedule needs a name.';
+  if (schedules.some((item) => item.id !== schedule.id && item.name.toLowerCase() === schedule.name.toLowerCase())) {
+    return `There is already a schedule named ${schedule.name}.`;
+  }
+  if (PERIOD_DAYS[schedule.frequency] && !isDate(schedule.anchorDate)) {
+    return 'Weekly and biweekly schedules need the start date of one pay period.';
+  }
+  return '';
+}
+
+export function scheduleIdFor(settings, employee) {
+  const id = employee.payScheduleId || settings.departmentSchedules?.[employee.department] || DEFAULT_SCHEDULE_ID;
+  return settings.paySchedules.some((schedule) => schedule.id === id) ? id : DEFAULT_SCHEDULE_ID;
+}
+
+function findSchedule(schedules, id) {
+  return (
+    schedules.find((schedule) => schedule.id === id) || { id, name: 'Removed schedule', frequency: '', anchorDate: '' }
+  );
+}
+
+function describe(schedule, start, end) {
+  const key = schedule.frequency === 'monthly' ? periodMonth(end) : `${end}@${schedule.id}`;
+  return {
+    key,
+    schedule,
+    start,
+    end,
+    month: periodMonth(end),
+    factor: PERIODS_PER_YEAR[schedule.frequency] ? 12 / PERIODS_PER_YEAR[schedule.frequency] : 1
+  };
+}
+
+export function periodContaining(schedule, date) {
+  if (schedule.frequency === 'monthly') {
+    return describe(schedule, `${periodMonth(date)}-01`, lastDayOfMonth(periodMonth(date)));
+  }
+  if (schedule.frequency === 'semimonthly') {
+    const month = periodMonth(date);
+    return Number(date.slice(8, 10)) <= 15
+      ? describe(schedule, `${month}-01`, `${month}-15`)
+      : describe(schedule, `${month}-16`, lastDayOfMonth(month));
+  }
+
+  const length = PERIOD_DAYS[schedule.frequency];
+  const anchor = schedule.anchorDate || '1970-01-05';
+  const start = addDays(anchor, Math.floor(daysBetween(anchor, date) / length) * length);
+  return describe(schedule, start, addDays(start, length - 1));
+}
+
+export function describePeriod(schedules, key) {
+  const schedule = findSchedule(schedules, periodScheduleId(key));
+  const end = periodEnd(key);
+  const length = PERIOD_DAYS[schedule.frequency];
+  if (length) return describe(schedule, addDays(end, 1 - length), end);
+  if (schedule.frequency) return periodContaining(schedule, end);
+  return describe(schedule, end, end);
+}
+
+export function shiftPeriod(schedules, key, delta) {
+  const period = describePeriod(schedules, key);
+  if (!period.schedule.frequency) return key;
+  const next = periodContaining(period.schedule, delta > 0 ? addDays(period.end, 1) : addDays(period.start, -1));
+  return next.key;
+}
+
+export function periodsInYear(schedule, year) {
+  const periods = [];
+  let period = periodContaining(schedule, `${year}-01-01`);
+  while (period.end.startsWith(`${year}-`)) {
+    periods.push(period);
+    period = periodContaining(schedule, addDays(period.end, 1));
+  }
+  return periods;
+}
+
+export function currentPeriodKey(schedule, today = new Date().toISOString().slice(0, 10)) {
+  return periodContaining(schedule, today).key;
+}
+
+export function payForPeriod(employee, monthlySalary, period) {
+  const round = (value) => Math.round(value * period.factor * 100) / 100;
+  return {
+    ...employee,
+    salary: round(monthlySalary),
+    payComponents:
+      period.factor === 1
+        ? employee.payComponents || []
+        : (employee.payComponents || []).map((component) =>
+            component.basis === 'fixed' ? { ...component, amount: round(component.amount) } : component
+          )
+  };
+}
+
+export function periodRange(period) {
+  const format = (value, options) =>
+    parseDate(value).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC', ...options });
+  return `${format(period.start)} – ${format(period.end, { year: 'numeric' })}`;
+}
@@ -0,0 +1,96 @@
+import { normalizeEmployee, salaryForMonth } from './employees.js';
+import { migrateLegacyPayments } from './payments.js';
+import { isPeriodKey } from './schedules.js';
+import { recordStage } from './workflow.js';
+
+export const SCHEMA_VERSION = 4;
+
+function mapRecords(records, update) {
+  return Object.fromEntries(
+    Object.entries(records || {}).map(([month, monthRecords]) => [
+      month,
+      Object.fromEntries(
+        Object.entries(monthRecords).map(([employeeId, record]) => [employeeId, update(record, month, employeeId)])
+      )
+    ])
+  );
+}
+
+const MIGRATIONS = {
+  1: (state) => ({ ...state, employees: state.employees.map(normalizeEmployee) }),
+  2: (state) => ({
+    ...state,
+    records: migrateLegacyPayments(state.records || {}, (employeeId, month) => {
+      const employee = state.employees.find((item) => item.id === employeeId);
+      return employee ? salaryForMonth(employee, month) : 0;
+    })
+  }),
+  3: (state) => ({
+    ...state,
+    records: mapRecords(state.records, (record) => ({ ...record, stage: recordStage(record) }))
+  }),
+  4: ({ selectedMonth, ...state }) => ({ ...state, selectedPeriod: state.selectedPeriod || selectedMonth })
+};
+
+function schemaError(code, message, raw) {
+  return Object.assign(new Error(message), { code, raw });
+}
+
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+export function stateVersion(raw) {
+  return Number.isInteger(raw?.schemaVersion) ? raw.schemaVersion : 0;
+}
+
+export function stateProblem(raw) {
+  if (!isObject(raw)) return 'The saved data is not a payroll workspace.';
+  if (!Array.isArray(raw.employees)) return 'The employee list is missing or damaged.';
+  if (raw.employees.some((employee) => !isObject(employee) || !employee.id)) {
+    return 'Some employees are missing their id.';
+  }
+  if (raw.records !== undefined && !isObject(raw.records)) return 'The payroll records are damaged.';
+  for (const [month, monthRecords] of Object.entries(raw.records || {})) {
+    if (!isPeriodKey(month) || !isObject(monthRecords)) return `The records for ${month} are damaged.`;
+    if (Object.values(monthRecords).some((record) => !isObject(record))) {
+      return `Some records for ${month} are damaged.`;
+    }
+  }
+  if (raw.auditLog !== undefined && !Array.isArray(raw.auditLog)) return 'The audit log is damaged.';
+  return '';
+}
+
+export function parseState(text) {
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw schemaError('state/corrupt', 'The saved payroll data could not be read.', text);
+  }
+}
+
+export function migrateState(raw) {
+  const problem = stateProblem(raw);
+  if (problem) throw schemaError('state/corrupt', problem, raw);
+
+  const version = stateVersion(raw);
+  if (version > SCHEMA_VERSION) {
+    throw schemaError(
+      'state/newer',
+      `The saved data uses schema version ${version}, but this version of the dashboard only reads up to ` +
+        `version ${SCHEMA_VERSION}. Reload to pick up the latest release.`,
+      raw
+    );
+  }
+
+  let state = raw;
+  for (let next = version + 1; next <= SCHEMA_VERSION; next += 1) {
+    state = MIGRATIONS[next](state);
+  }
+  return { ...state, schemaVersion: SCHEMA_VERSION };
+}
+
+export function isSchemaError(error) {
+  return error?.code === 'state/corrupt' || error?.code === 'state/newer';
+}
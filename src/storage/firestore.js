@@ -0,0 +1,457 @@
+import {
+  collection,
+  connectFirestoreEmulator,
+  doc,
+  getDoc,
+  getDocs,
+  initializeFirestore,
+  onSnapshot,
+  persistentLocalCache,
+  persistentMultipleTabManager,
+  runTransaction
+} from 'firebase/firestore';
+import {
+  connectStorageEmulator,
+  deleteObject,
+  getBlob,
+  getMetadata,
+  getStorage,
+  listAll,
+  ref,
+  uploadBytes
+} from 'firebase/storage';
+import { app, emulatorHost, useEmulators } from '../firebase.js';
+import { fromMap, mergeKeyed, sameValue, toMap, workspaceData } from './merge.js';
+
+const workspaceId = import.meta.env.VITE_FIREBASE_WORKSPACE_ID || 'default';
+
+const firestore = initializeFirestore(app, {
+  ignoreUndefinedProperties: true,
+  localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() })
+});
+const cloudStorage = getStorage(app);
+
+if (useEmulators) {
+  connectFirestoreEmulator(firestore, emulatorHost, 8080);
+  connectStorageEmulator(cloudStorage, emulatorHost, 9199);
+}
+
+const workspaceRef = doc(firestore, 'workspaces', workspaceId);
+const monthsRef = collection(workspaceRef, 'months');
+const recordsRef = collection(workspaceRef, 'records');
+const auditRef = collection(workspaceRef, 'audit');
+
+function proofRef(proofId) {
+  return ref(cloudStorage, `workspaces/${workspaceId}/proofs/${proofId}`);
+}
+
+function recordRef(period, employeeId) {
+  return doc(recordsRef, `${period}~${employeeId}`);
+}
+
+function emptyBase() {
+  return {
+    workspace: {
+      employees: [],
+      settings: {},
+      access: { members: {}, domains: {} },
+      revision: 0
+    },
+    months: {},
+    records: {},
+    audit: []
+  };
+}
+
+function recordData({ period, employeeId, revision, updatedAt, updatedBy, ...record }) {
+  return record;
+}
+
+function isLegacy(base) {
+  return Boolean(base.workspace.monthClosures) || Object.values(base.months).some((month) => month.records);
+}
+
+function baseClosures(base) {
+  return {
+    ...base.workspace.monthClosures,
+    ...Object.fromEntries(
+      Object.entries(base.months)
+        .filter(([, month]) => month.closure)
+        .map(([period, month]) => [period, month.closure])
+    )
+  };
+}
+
+function baseRecords(base) {
+  const records = Object.fromEntries(
+    Object.entries(base.months)
+      .filter(([, month]) => month.records)
+      .map(([period, month]) => [period, { ...month.records }])
+  );
+  for (const [period, rows] of Object.entries(base.records)) {
+    records[period] = {
+      ...records[period],
+      ...Object.fromEntries(Object.entries(rows).map(([id, data]) => [id, recordData(data)]))
+    };
+  }
+  return records;
+}
+
+function withRecord(records, data) {
+  return { ...records, [data.period]: { ...records[data.period], [data.employeeId]: data } };
+}
+
+function withoutRecord(records, period, employeeId) {
+  const { [employeeId]: removed, ...rows } = records[period] || {};
+  return { ...records, [period]: rows };
+}
+
+function assembleState(base, selectedPeriod) {
+  return {
+    schemaVersion: base.workspace.schemaVersion,
+    selectedPeriod,
+    employees: base.workspace.employees,
+    monthClosures: baseClosures(base),
+    settings: base.workspace.settings,
+    access: base.workspace.access,
+    records: baseRecords(base),
+    exchangeRates: Object.fromEntries(
+      Object.entries(base.months)
+        .filter(([, data]) => data.rates)
+        .map(([month, data]) => [month, data.rates])
+    ),
+    auditLog: [...base.audit].sort((a, b) => a.at.localeCompare(b.at))
+  };
+}
+
+function mergeWorkspace(baseDoc, localDoc, remoteDoc) {
+  const employees = mergeKeyed(toMap(baseDoc.employees), toMap(localDoc.employees), toMap(remoteDoc.employees));
+  const settings = mergeKeyed(baseDoc.settings, localDoc.settings, remoteDoc.settings);
+  const members = mergeKeyed(baseDoc.access.members, localDoc.access.members, remoteDoc.access.members);
+  const domains = mergeKeyed(baseDoc.access.domains, localDoc.access.domains, remoteDoc.access.domains);
+  const order = [...remoteDoc.employees, ...localDoc.employees].map((employee) => employee.id);
+
+  return {
+    data: {
+      schemaVersion: Math.max(localDoc.schemaVersion || 0, remoteDoc.schemaVersion || 0),
+      employees: fromMap(employees.merged, order),
+      settings: settings.merged,
+      access: { members: members.merged, domains: domains.merged }
+    },
+    conflicts: [
+      ...employees.conflicts.map((id) => ({ type: 'employee', id })),
+      ...settings.conflicts.map((key) => ({ type: 'setting', key })),
+      ...[...members.conflicts, ...domains.conflicts].map((key) => ({ type: 'access', key }))
+    ]
+  };
+}
+
+function newerDoc(current, written) {
+  return current && (current.revision || 0) > (written.revision || 0) ? current : written;
+}
+
+function workspaceFields(data) {
+  return { schemaVersion: data.schemaVersion, employees: data.employees, settings: data.settings, access: data.access };
+}
+
+function union(...lists) {
+  return [...new Set(lists.flatMap((list) => Object.keys(list || {})))];
+}
+
+export function createFirestoreAdapter({ user }) {
+  const selectedPeriodKey = `payrollControlCenterReactV2:${user.uid}:selectedPeriod`;
+  const outboxKey = `payrollControlCenterReactV2:${user.uid}:${workspaceId}:outbox`;
+  let base = emptyBase();
+  let latest = null;
+  let saving = Promise.resolve();
+  let listener = null;
+
+  function readOutbox() {
+    try {
+      const outbox = JSON.parse(localStorage.getItem(outboxKey) || 'null');
+      return outbox?.base && outbox?.state ? outbox : null;
+    } catch {
+      return null;
+    }
+  }
+
+  function keepOffline(state) {
+    localStorage.setItem(outboxKey, JSON.stringify({ base, state }));
+  }
+
+  async function saveOrKeep(state) {
+    if (!navigator.onLine) {
+      keepOffline(state);
+      return { conflicts: [] };
+    }
+    try {
+      const result = await writeState(state);
+      localStorage.removeItem(outboxKey);
+      return result;
+    } catch (error) {
+      if (error?.code === 'permission-denied') localStorage.removeItem(outboxKey);
+      else keepOffline(state);
+      throw error;
+    }
+  }
+
+  async function writeState(state) {
+    const start = base;
+    const legacy = isLegacy(start);
+    const startClosures = baseClosures(start);
+    const startRecords = baseRecords(start);
+
+    const localWorkspace = workspaceFields(state);
+    const workspaceDirty = legacy || !sameValue(workspaceFields(start.workspace), localWorkspace);
+    const dirtyMonths = union(state.exchangeRates, state.monthClosures, start.months).filter(
+      (period) =>
+        legacy ||
+        !sameValue(
+          { rates: start.months[period]?.rates, closure: startClosures[period] },
+          { rates: state.exchangeRates[period], closure: state.monthClosures[period] }
+        )
+    );
+    const dirtyRecords = union(state.records, startRecords).flatMap((period) =>
+      union(state.records[period], startRecords[period])
+        .filter((id) => legacy || !sameValue(startRecords[period]?.[id], state.records[period]?.[id]))
+        .map((id) => [period, id])
+    );
+    const recordMonths = [...new Set(dirtyRecords.map(([period]) => period))].filter(
+      (period) => !dirtyMonths.includes(period)
+    );
+    const knownAudit = new Set(start.audit.map((entry) => entry.id));
+    const newAudit = state.auditLog.filter((entry) => !knownAudit.has(entry.id));
+
+    if (!workspaceDirty && !dirtyMonths.length && !dirtyRecords.length && !newAudit.length) return { conflicts: [] };
+
+    let written;
+    let conflicts;
+
+    await runTransaction(firestore, async (transaction) => {
+      written = { workspace: null, months: {}, records: [] };
+      conflicts = [];
+      const [workspaceSnap, monthSnaps, recordSnaps, recordMonthSnaps] = await Promise.all([
+        workspaceDirty ? transaction.get(workspaceRef) : null,
+        Promise.all(dirtyMonths.map((period) => transaction.get(doc(monthsRef, period)))),
+        Promise.all(dirtyRecords.map(([period, id]) => transaction.get(recordRef(period, id)))),
+        Promise.all(recordMonths.map((period) => transaction.get(doc(monthsRef, period))))
+      ]);
+      const monthDocs = [...monthSnaps, ...recordMonthSnaps];
+      const remoteMonths = Object.fromEntries(
+        [...dirtyMonths, ...recordMonths].map((period, index) => [
+          period,
+          monthDocs[index].exists() ? monthDocs[index].data() : null
+        ])
+      );
+      const closing = (period) => Boolean(state.monthClosures[period]?.closed) && !startClosures[period]?.closed;
+      const closedThere = (period) =>
+        Boolean(remoteMonths[period]?.closure?.closed) && !startClosures[period]?.closed && !closing(period);
+      const meta = { updatedAt: new Date().toISOString(), updatedBy: user.email };
+
+      if (workspaceDirty) {
+        const remote = workspaceSnap.exists() ? { ...emptyBase().workspace, ...workspaceSnap.data() } : null;
+        let data = localWorkspace;
+        if (!legacy && remote && remote.revision !== start.workspace.revision) {
+          const result = mergeWorkspace(start.workspace, localWorkspace, remote);
+          data = result.data;
+          conflicts.push(...result.conflicts);
+        }
+        written.workspace = { ...data, revision: (remote?.revision || 0) + 1 };
+        transaction.set(workspaceRef, { ...written.workspace, ...meta });
+      }
+
+      dirtyMonths.forEach((period, index) => {
+        const snap = monthSnaps[index];
+        const remote = snap.exists() ? snap.data() : null;
+        let data = { rates: state.exchangeRates[period], closure: state.monthClosures[period] };
+        if (!legacy && remote && remote.revision !== start.months[period]?.revision) {
+          const result = mergeKeyed(
+            { rates: start.months[period]?.rates, closure: start.months[period]?.closure },
+            data,
+            { rates: remote.rates, closure: remote.closure }
+          );
+          data = result.merged;
+          conflicts.push(
+            ...result.conflicts.map((key) => ({ type: key === 'rates' ? 'rates' : 'monthClosure', month: period }))
+          );
+        }
+        written.months[period] = { ...data, revision: (remote?.revision || 0) + 1 };
+        transaction.set(doc(monthsRef, period), { ...written.months[period], ...meta });
+      });
+
+      dirtyRecords.forEach(([period, id], index) => {
+        const snap = recordSnaps[index];
+        const remote = snap.exists() ? snap.data() : null;
+        const record = state.records[period]?.[id];
+        const remoteChanged =
+          remote &&
+          remote.revision !== start.records[period]?.[id]?.revision &&
+          !sameValue(recordData(remote), startRecords[period]?.[id]);
+
+        if (!legacy && closedThere(period)) {
+          conflicts.push({ type: 'record', month: period, id });
+          written.records.push({ period, id, data: remote, revision: remote?.revision || 0 });
+          return;
+        }
+        if (!legacy && remoteChanged && !sameValue(recordData(remote), record)) {
+          if (closing(period)) {
+            conflicts.push({ type: 'record', month: period, id, discardedTheirs: true });
+          } else {
+            conflicts.push({ type: 'record', month: period, id });
+            written.records.push({ period, id, data: remote, revision: remote.revision });
+            return;
+          }
+        }
+        const revision = (remote?.revision || 0) + 1;
+        if (record) {
+          const data = { ...record, period, employeeId: id, revision, ...meta };
+          written.records.push({ period, id, data, revision });
+          transaction.set(recordRef(period, id), data);
+        } else if (remote) {
+          written.records.push({ period, id, data: null, revision });
+          transaction.delete(recordRef(period, id));
+        }
+      });
+
+      for (const entry of newAudit) {
+        transaction.set(doc(auditRef, entry.id), entry);
+      }
+    });
+
+    let records = base.records;
+    for (const { period, id, data, revision } of written.records) {
+      if ((records[period]?.[id]?.revision || 0) > revision) continue;
+      records = data ? withRecord(records, data) : withoutRecord(records, period, id);
+    }
+    const knownNow = new Set(base.audit.map((entry) => entry.id));
+    base = {
+      workspace: written.workspace ? newerDoc(base.workspace, written.workspace) : base.workspace,
+      months: {
+        ...base.months,
+        ...Object.fromEntries(
+          Object.entries(written.months).map(([period, data]) => [period, newerDoc(base.months[period], data)])
+        )
+      },
+      records,
+      audit: [...base.audit, ...newAudit.filter((entry) => !knownNow.has(entry.id))]
+    };
+    const saved = assembleState(base, state.selectedPeriod);
+    if (listener && !sameValue(workspaceData(saved), workspaceData(state))) listener(saved, state);
+    return { conflicts };
+  }
+
+  return {
+    name: 'firestore',
+    async loadState() {
+      const [workspaceSnap, monthSnaps, recordSnaps, auditSnaps] = await Promise.all([
+        getDoc(workspaceRef),
+        getDocs(monthsRef),
+        getDocs(recordsRef),
+        getDocs(auditRef)
+      ]);
+      if (!workspaceSnap.exists()) return null;
+
+      base = {
+        workspace: { ...emptyBase().workspace, ...workspaceSnap.data() },
+        months: Object.fromEntries(monthSnaps.docs.map((snap) => [snap.id, snap.data()])),
+        records: recordSnaps.docs.reduce((records, snap) => withRecord(records, snap.data()), {}),
+        audit: auditSnaps.docs.map((snap) => snap.data())
+      };
+      const outbox = readOutbox();
+      if (outbox) {
+        base = outbox.base;
+        return { ...outbox.state, selectedPeriod: localStorage.getItem(selectedPeriodKey) };
+      }
+      return assembleState(base, localStorage.getItem(selectedPeriodKey));
+    },
+    saveState(state) {
+      localStorage.setItem(selectedPeriodKey, state.selectedPeriod);
+      latest = state;
+      const run = saving.then(() => (latest === state ? saveOrKeep(state) : { conflicts: [] }));
+      saving = run.catch(() => {});
+      return run;
+    },
+    subscribe(onRemoteState) {
+      const ready = { workspace: false, months: false, records: false, audit: false };
+      const update = (part, next) => {
+        const previous = base;
+        base = { ...base, ...next };
+        ready[part] = true;
+        if (Object.values(ready).every(Boolean)) {
+          const selectedPeriod = localStorage.getItem(selectedPeriodKey);
+          onRemoteState(assembleState(base, selectedPeriod), assembleState(previous, selectedPeriod));
+        }
+      };
+
+      listener = onRemoteState;
+      const unsubscribers = [
+        onSnapshot(workspaceRef, (snap) => {
+          update('workspace', snap.exists() ? { workspace: { ...emptyBase().workspace, ...snap.data() } } : {});
+        }),
+        onSnapshot(monthsRef, (snaps) => {
+          const months = { ...base.months };
+          for (const change of snaps.docChanges()) {
+            if (change.type === 'removed') delete months[change.doc.id];
+            else months[change.doc.id] = change.doc.data();
+          }
+          update('months', { months });
+        }),
+        onSnapshot(recordsRef, (snaps) => {
+          let records = base.records;
+          for (const change of snaps.docChanges()) {
+            const data = change.doc.data();
+            records =
+              change.type === 'removed'
+                ? withoutRecord(records, data.period, data.employeeId)
+                : withRecord(records, data);
+          }
+          update('records', { records });
+        }),
+        onSnapshot(auditRef, (snaps) => {
+          update('audit', { audit: snaps.docs.map((snap) => snap.data()) });
+        })
+      ];
+
+      return () => {
+        listener = null;
+        unsubscribers.forEach((unsubscribe) => unsubscribe());
+      };
+    },
+    async putProof(proofId, blob, sha256 = '') {
+      await uploadBytes(proofRef(proofId), blob, {
+        contentType: blob.type || 'application/pdf',
+        ...(sha256 ? { customMetadata: { sha256 } } : {})
+      });
+    },
+    async getProof(proofId) {
+      try {
+        return await getBlob(proofRef(proofId));
+      } catch (error) {
+        if (error?.code === 'storage/object-not-found') return null;
+        throw error;
+      }
+    },
+    async deleteProof(proofId) {
+      try {
+        await deleteObject(proofRef(proofId));
+      } catch (error) {
+        if (error?.code !== 'storage/object-not-found') throw error;
+      }
+    },
+    async listProofs() {
+      const { items } = await listAll(ref(cloudStorage, `workspaces/${workspaceId}/proofs`));
+      return Promise.all(
+        items.map(async (item) => {
+          const metadata = await getMetadata(item);
+          return {
+            id: item.name,
+            size: metadata.size,
+            type: metadata.contentType || '',
+            sha256: metadata.customMetadata?.sha256 || '',
+            storedAt: metadata.timeCreated || ''
+          };
+        })
+      );
+    }
+  };
+}
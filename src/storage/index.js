@@ -0,0 +1,15 @@
+import { createLocalAdapter } from './local.js';
+export { mergeWorkspaceStates, sameValue, workspaceData } from './merge.js';
+
+export { copyLocalProofs, handledImports, listLocalStates, localStateKey, markImportHandled } from './local.js';
+
+export const storageBackend = import.meta.env.VITE_STORAGE_BACKEND === 'firestore' ? 'firestore' : 'local';
+
+export async function createStorage({ user }) {
+  if (storageBackend === 'firestore' && user) {
+    const { createFirestoreAdapter } = await import('./firestore.js');
+    return createFirestoreAdapter({ user });
+  }
+
+  return createLocalAdapter({ scope: user?.uid || 'guest' });
+}
@@ -0,0 +1,124 @@
+import { deleteProofBlob, getProofBlob, listProofBlobs, putProofBlob } from '../db.js';
+import { migrateState, parseState } from '../schema.js';
+import { mergeWorkspaceStates, sameValue, workspaceData } from './merge.js';
+
+const STATE_KEY_PREFIX = 'payrollControlCenterReactV2';
+const LOCAL_STATE_KEY = /^payrollControlCenter\w*(:[^:]+)?$/;
+
+export function localStateKey(scope) {
+  return `${STATE_KEY_PREFIX}:${scope}`;
+}
+
+export function listLocalStates() {
+  const states = [];
+  for (let index = 0; index < localStorage.length; index += 1) {
+    const key = localStorage.key(index);
+    if (!LOCAL_STATE_KEY.test(key)) continue;
+    try {
+      const raw = parseState(localStorage.getItem(key));
+      if (raw) states.push({ key, scope: key.split(':')[1] || '', raw });
+    } catch {
+      continue;
+    }
+  }
+  return states;
+}
+
+function handledImportsKey(scope) {
+  return `${STATE_KEY_PREFIX}:${scope}:handledImports`;
+}
+
+export function handledImports(scope) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(handledImportsKey(scope)) || '[]');
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+}
+
+export function markImportHandled(scope, key) {
+  localStorage.setItem(handledImportsKey(scope), JSON.stringify([...new Set([...handledImports(scope), key])]));
+}
+
+export async function copyLocalProofs(proofs, storage) {
+  const missing = [];
+  for (const proof of proofs) {
+    const blob = await getProofBlob(proof.id);
+    if (blob) await storage.putProof(proof.id, blob, proof.sha256 || '');
+    else missing.push(proof);
+  }
+  return missing;
+}
+
+export function createLocalAdapter({ scope }) {
+  const storageKey = localStateKey(scope);
+  const periodKey = `${storageKey}:selectedPeriod`;
+  let base = null;
+  let baseRaw = null;
+  let listener = null;
+
+  function write(state) {
+    baseRaw = JSON.stringify(state);
+    base = state;
+    localStorage.setItem(storageKey, baseRaw);
+  }
+
+  return {
+    name: 'local',
+    async loadState() {
+      baseRaw = localStorage.getItem(storageKey);
+      base = parseState(baseRaw);
+      const selectedPeriod = localStorage.getItem(periodKey);
+      return base && selectedPeriod ? { ...base, selectedPeriod } : base;
+    },
+    async saveState(state) {
+      localStorage.setItem(periodKey, state.selectedPeriod);
+      const raw = localStorage.getItem(storageKey);
+
+      if (raw === baseRaw || raw === null || !base) {
+        if (!base || !sameValue(workspaceData(state), workspaceData(base))) write(state);
+        return { conflicts: [] };
+      }
+
+      const remote = migrateState(parseState(raw));
+      const { state: merged, conflicts } = mergeWorkspaceStates(migrateState(base), state, remote);
+      write(merged);
+      if (listener && !sameValue(workspaceData(merged), workspaceData(state))) listener(merged, state);
+      return { conflicts };
+    },
+    async discardState() {
+      const raw = localStorage.getItem(storageKey);
+      if (raw !== null) localStorage.setItem(`${storageKey}:discarded`, raw);
+      localStorage.removeItem(storageKey);
+      base = null;
+      baseRaw = null;
+    },
+    subscribe(onRemoteState) {
+      const handleStorage = (event) => {
+        if (event.key !== storageKey || event.newValue === null || event.newValue === baseRaw) return;
+        let remote;
+        try {
+          remote = parseState(event.newValue);
+        } catch {
+          return;
+        }
+        const previous = base;
+        baseRaw = event.newValue;
+        base = remote;
+        onRemoteState(remote, previous);
+      };
+
+      listener = onRemoteState;
+      window.addEventListener('storage', handleStorage);
+      return () => {
+        listener = null;
+        window.removeEventListener('storage', handleStorage);
+      };
+    },
+    putProof: putProofBlob,
+    getProof: getProofBlob,
+    deleteProof: deleteProofBlob,
+    listProofs: listProofBlobs
+  };
+}
@@ -0,0 +1,133 @@
+function canonical(value) {
+  if (Array.isArray(value)) return value.map(canonical);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.keys(value)
+        .filter((key) => value[key] !== undefined)
+        .sort()
+        .map((key) => [key, canonical(value[key])])
+    );
+  }
+  return value;
+}
+
+export function sameValue(a, b) {
+  return JSON.stringify(canonical(a)) === JSON.stringify(canonical(b));
+}
+
+export function toMap(list = []) {
+  return Object.fromEntries(list.map((item) => [item.id, item]));
+}
+
+export function fromMap(map, order = []) {
+  const ids = [...new Set([...order.filter((id) => id in map), ...Object.keys(map)])];
+  return ids.map((id) => map[id]);
+}
+
+export function mergeKeyed(base = {}, local = {}, remote = {}) {
+  const merged = { ...remote };
+  const conflicts = [];
+  const keys = new Set([...Object.keys(base), ...Object.keys(local), ...Object.keys(remote)]);
+
+  for (const key of keys) {
+    const localChanged = !sameValue(base[key], local[key]);
+    const remoteChanged = !sameValue(base[key], remote[key]);
+    if (!localChanged) continue;
+
+    if (!remoteChanged || sameValue(local[key], remote[key])) {
+      if (local[key] === undefined) delete merged[key];
+      else merged[key] = local[key];
+      continue;
+    }
+
+    conflicts.push(key);
+  }
+
+  return { merged, conflicts };
+}
+
+export function workspaceData(state) {
+  const { selectedPeriod, ...data } = state;
+  return data;
+}
+
+function closing(base = {}, side = {}, period) {
+  return Boolean(side[period]?.closed) && !base[period]?.closed;
+}
+
+function editedRecords(base = {}, side = {}) {
+  return [...new Set([...Object.keys(base), ...Object.keys(side)])].filter((id) => !sameValue(base[id], side[id]));
+}
+
+function mergeRecords(base = {}, local = {}, remote = {}, closures = {}) {
+  const records = {};
+  const conflicts = [];
+
+  for (const period of new Set([...Object.keys(base), ...Object.keys(local), ...Object.keys(remote)])) {
+    const localClosing = closing(closures.base, closures.local, period);
+    const remoteClosing = closing(closures.base, closures.remote, period);
+    if (localClosing !== remoteClosing) {
+      const [kept, other] = localClosing ? [local, remote] : [remote, local];
+      if (kept[period]) records[period] = kept[period];
+      for (const id of editedRecords(base[period], other[period])) {
+        conflicts.push({ type: 'record', month: period, id, ...(localClosing ? { discardedTheirs: true } : {}) });
+      }
+      continue;
+    }
+
+    const rows = mergeKeyed(base[period], local[period], remote[period]);
+    for (const id of rows.conflicts) {
+      if (!base[period]?.[id] || !local[period]?.[id] || !remote[period]?.[id]) {
+        conflicts.push({ type: 'record', month: period, id });
+        continue;
+      }
+      const fields = mergeKeyed(base[period][id], local[period][id], remote[period][id]);
+      rows.merged[id] = fields.merged;
+      if (fields.conflicts.length) conflicts.push({ type: 'record', month: period, id, fields: fields.conflicts });
+    }
+    records[period] = rows.merged;
+  }
+
+  return { records, conflicts };
+}
+
+function mergeAudit(...logs) {
+  const entries = new Map(logs.flatMap((log) => (log || []).map((entry) => [entry.id, entry])));
+  return [...entries.values()].sort((a, b) => a.at.localeCompare(b.at));
+}
+
+export function mergeWorkspaceStates(base, local, remote) {
+  const employees = mergeKeyed(toMap(base.employees), toMap(local.employees), toMap(remote.employees));
+  const records = mergeRecords(base.records, local.records, remote.records, {
+    base: base.monthClosures,
+    local: local.monthClosures,
+    remote: remote.monthClosures
+  });
+  const closures = mergeKeyed(base.monthClosures, local.monthClosures, remote.monthClosures);
+  const rates = mergeKeyed(base.exchangeRates, local.exchangeRates, remote.exchangeRates);
+  const settings = mergeKeyed(base.settings, local.settings, remote.settings);
+  const members = mergeKeyed(base.access?.members, local.access?.members, remote.access?.members);
+  const domains = mergeKeyed(base.access?.domains, local.access?.domains, remote.access?.domains);
+  const order = [...remote.employees, ...local.employees].map((employee) => employee.id);
+
+  return {
+    state: {
+      ...local,
+      employees: fromMap(employees.merged, order),
+      records: records.records,
+      monthClosures: closures.merged,
+      exchangeRates: rates.merged,
+      settings: settings.merged,
+      access: { members: members.merged, domains: domains.merged },
+      auditLog: mergeAudit(remote.auditLog, local.auditLog)
+    },
+    conflicts: [
+      ...employees.conflicts.map((id) => ({ type: 'employee', id })),
+      ...records.conflicts,
+      ...closures.conflicts.map((month) => ({ type: 'monthClosure', month })),
+      ...rates.conflicts.map((month) => ({ type: 'rates', month })),
+      ...settings.conflicts.map((key) => ({ type: 'setting', key })),
+      ...[...members.conflicts, ...domains.conflicts].map((key) => ({ type: 'access', key }))
+    ]
+  };
+}
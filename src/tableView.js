@@ -0,0 +1,127 @@
+import { convert } from './currency.js';
+import { isFullyPaid, paymentStatus } from './payments.js';
+import { recordStage, STAGES } from './workflow.js';
+
+const STORAGE_PREFIX = 'payrollControlCenterReactV2';
+
+export const SORT_KEYS = {
+  name: 'Employee',
+  department: 'Department',
+  salary: 'Salary',
+  net: 'Net pay',
+  stage: 'Status',
+  paymentDate: 'Payment date',
+  proofs: 'Proof count'
+};
+
+export function defaultTableView(scope) {
+  return {
+    scope,
+    search: '',
+    department: 'all',
+    status: 'all',
+    sort: [{ key: 'name', dir: 'asc' }],
+    grouped: false,
+    collapsed: []
+  };
+}
+
+export function loadTableView(scope) {
+  const fallback = defaultTableView(scope);
+  try {
+    const stored = JSON.parse(localStorage.getItem(`${STORAGE_PREFIX}:${scope}:tableView`) || 'null');
+    if (!stored) return fallback;
+    return {
+      ...fallback,
+      ...stored,
+      scope,
+      sort: (Array.isArray(stored.sort) ? stored.sort : fallback.sort).filter((entry) => SORT_KEYS[entry.key]),
+      collapsed: Array.isArray(stored.collapsed) ? stored.collapsed : []
+    };
+  } catch {
+    return fallback;
+  }
+}
+
+export function saveTableView(view) {
+  const { scope, ...rest } = view;
+  localStorage.setItem(`${STORAGE_PREFIX}:${scope}:tableView`, JSON.stringify(rest));
+}
+
+export function toggleSort(sort, key, additive) {
+  const existing = sort.find((entry) => entry.key === key);
+  const dir = existing?.dir === 'asc' ? 'desc' : 'asc';
+  if (!additive) return [{ key, dir }];
+  if (existing) return sort.map((entry) => (entry.key === key ? { key, dir } : entry));
+  return [...sort, { key, dir: 'asc' }];
+}
+
+function matchesStatus(status, { record, pay, deadline }) {
+  if (status === 'due' || status === 'overdue') return deadline?.state === status;
+  if (status === 'all' || !record) return true;
+  if (status === 'paid') return isFullyPaid(record, pay.net);
+  if (status === 'pending') return !isFullyPaid(record, pay.net);
+  if (status === 'partial') return paymentStatus(record, pay.net) === 'partial';
+  if (STAGES[status]) return recordStage(record) === status;
+  return true;
+}
+
+function sortValue(key, row) {
+  if (key === 'name') return row.employee.name.toLowerCase();
+  if (key === 'department') return row.employee.department.toLowerCase();
+  if (key === 'salary') return Number(row.employee.salary) || 0;
+  if (key === 'net') return row.pay.net;
+  if (key === 'stage') return Object.keys(STAGES).indexOf(recordStage(row.record));
+  if (key === 'paymentDate') return row.record?.paymentDate || '';
+  if (key === 'proofs') return row.record?.proofs?.length || 0;
+  return '';
+}
+
+export function applyTableView(rows, view) {
+  const query = view.search.trim().toLowerCase();
+  const filtered = rows.filter(
+    (row) =>
+      (!query ||
+        row.employee.name.toLowerCase().includes(query) ||
+        row.employee.department.toLowerCase().includes(query)) &&
+      (view.department === 'all' || row.employee.department === view.department) &&
+      matchesStatus(view.status, row)
+  );
+
+  return filtered.sort((a, b) => {
+    for (const { key, dir } of view.sort) {
+      const left = sortValue(key, a);
+      const right = sortValue(key, b);
+      if (left < right) return dir === 'asc' ? -1 : 1;
+      if (left > right) return dir === 'asc' ? 1 : -1;
+    }
+    return 0;
+  });
+}
+
+export function groupRows(rows, rates, collapsed) {
+  const groups = new Map();
+  for (const row of rows) {
+    const list = groups.get(row.employee.department) || [];
+    list.push(row);
+    groups.set(row.employee.department, list);
+  }
+
+  const items = [];
+  for (const [department, list] of [...groups.entries()].sort(([a], [b]) => a.localeCompare(b))) {
+    const net = list.reduce((sum, row) => sum + (convert(row.pay.net, row.employee.currency, rates) ?? 0), 0);
+    items.push({
+      type: 'group',
+      key: `group:${department}`,
+      department,
+      count: list.length,
+      paidCount: list.filter((row) => isFullyPaid(row.record, row.pay.net)).length,
+      net: Math.round(net * 100) / 100,
+      collapsed: collapsed.includes(department)
+    });
+    if (!collapsed.includes(department)) {
+      items.push(...list.map((row) => ({ type: 'row', key: row.employee.id, ...row })));
+    }
+  }
+  return items;
+}
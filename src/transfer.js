@@ -0,0 +1,28 @@
+import { referencedProofs } from './backup.js';
+import { stateProblem, stateVersion } from './schema.js';
+
+function transferLabel(scope) {
+  if (!scope) return 'Data saved by an older version of the dashboard';
+  if (scope === 'guest') return 'Guest session in this browser';
+  return 'Data saved in this browser before cloud sync';
+}
+
+export function transferCandidates(states, { user, currentKey, handled }) {
+  return states
+    .filter(({ key, scope, raw }) => {
+      if (key === currentKey || handled.includes(key) || stateProblem(raw)) return false;
+      if (!scope) return true;
+      if (!user || (scope !== 'guest' && scope !== user.uid)) return false;
+      return Array.isArray(raw.auditLog) && raw.auditLog.length > 0;
+    })
+    .map(({ key, scope, raw }) => ({
+      key,
+      label: transferLabel(scope),
+      version: stateVersion(raw),
+      employees: raw.employees.length,
+      months: Object.keys(raw.records || {}).length,
+      proofs: referencedProofs(raw).length,
+      lastActivity: raw.auditLog?.[raw.auditLog.length - 1]?.at || '',
+      raw
+    }));
+}
@@ -0,0 +1,76 @@
+import { useEffect } from 'react';
+import { periodLabel } from './format.js';
+import { monthRoster } from './months.js';
+import { computePay } from './pay.js';
+import { isFullyPaid } from './payments.js';
+import { deadlineFor, deadlineLabel, paydayFor } from './paydays.js';
+import { currentPeriodKey, describePeriod, shiftPeriod } from './schedules.js';
+
+const STORAGE_PREFIX = 'payrollControlCenterReactV2';
+const CHECK_INTERVAL = 30 * 60 * 1000;
+
+export function remindersSupported() {
+  return typeof window !== 'undefined' && 'Notification' in window;
+}
+
+export function loadReminders(scope) {
+  return remindersSupported() && localStorage.getItem(`${STORAGE_PREFIX}:${scope}:reminders`) === 'on';
+}
+
+export function saveReminders(scope, enabled) {
+  localStorage.setItem(`${STORAGE_PREFIX}:${scope}:reminders`, enabled ? 'on' : 'off');
+}
+
+function reminderPeriods(state, today) {
+  const schedules = state.settings.paySchedules;
+  return schedules
+    .flatMap((schedule) => {
+      const current = currentPeriodKey(schedule, today);
+      const previous = shiftPeriod(schedules, current, -1);
+      return Object.keys(state.records[previous] || {}).length ? [previous, current] : [current];
+    })
+    .map((key) => {
+      const records = state.records[key] || {};
+      const pending = monthRoster(state, key).filter(
+        (employee) => !isFullyPaid(records[employee.id], computePay(employee, records[employee.id], key).net)
+      ).length;
+      return { key, pending, payday: paydayFor(describePeriod(schedules, key), state.settings.payday) };
+    })
+    .filter((period) => period.pending);
+}
+
+export default function usePaydayReminders({ scope, enabled, state }) {
+  useEffect(() => {
+    if (!enabled || !remindersSupported()) return undefined;
+
+    const sentKey = `${STORAGE_PREFIX}:${scope}:reminderSent`;
+    const check = () => {
+      if (Notification.permission !== 'granted') return;
+      const today = new Date().toISOString().slice(0, 10);
+      let sent;
+      try {
+        sent = JSON.parse(localStorage.getItem(sentKey) || '{}') || {};
+      } catch {
+        sent = {};
+      }
+      const periods = reminderPeriods(state, today);
+      const marked = {};
+
+      for (const period of periods) {
+        const deadline = deadlineFor(period.payday, today, state.settings.payday.reminderDays);
+        if (sent[period.key] === today) marked[period.key] = today;
+        if (deadline.state === 'upcoming' || marked[period.key]) continue;
+
+        marked[period.key] = today;
+        const title = `Payroll ${deadline.state === 'overdue' ? 'overdue' : 'due soon'}: ${periodLabel(period.key)}`;
+        const unpaid = `${period.pending} ${period.pending === 1 ? 'employee is' : 'employees are'} not fully paid`;
+        new Notification(title, { body: `${unpaid}. ${deadlineLabel(deadline)}.`, tag: `payday-${period.key}` });
+      }
+      localStorage.setItem(sentKey, JSON.stringify(marked));
+    };
+
+    check();
+    const timer = window.setInterval(check, CHECK_INTERVAL);
+    return () => window.clearInterval(timer);
+  }, [scope, enabled, state]);
+}
@@ -0,0 +1,65 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+export default function useVirtualRows(keys, { estimate = 64, overscan = 6 } = {}) {
+  const [container, setContainer] = useState(null);
+  const heights = useRef(new Map());
+  const pending = useRef(0);
+  const [viewport, setViewport] = useState({ scrollTop: 0, height: 720, header: 0 });
+  const [, setMeasured] = useState(0);
+
+  useEffect(() => {
+    if (!container) return undefined;
+
+    const update = () =>
+      setViewport({
+        scrollTop: container.scrollTop,
+        height: container.clientHeight,
+        header: container.querySelector('thead')?.getBoundingClientRect().height ?? 0
+      });
+    update();
+    container.addEventListener('scroll', update, { passive: true });
+    const observer = new ResizeObserver(update);
+    observer.observe(container);
+
+    return () => {
+      container.removeEventListener('scroll', update);
+      observer.disconnect();
+    };
+  }, [container]);
+
+  useEffect(() => () => cancelAnimationFrame(pending.current), []);
+
+  const measure = useCallback((key, node) => {
+    if (!node) return;
+    const height = node.getBoundingClientRect().height;
+    if (Math.abs((heights.current.get(key) ?? 0) - height) < 1) return;
+
+    heights.current.set(key, height);
+    cancelAnimationFrame(pending.current);
+    pending.current = requestAnimationFrame(() => setMeasured((count) => count + 1));
+  }, []);
+
+  const offsets = new Array(keys.length + 1);
+  offsets[0] = 0;
+  keys.forEach((key, index) => {
+    offsets[index + 1] = offsets[index] + (heights.current.get(key) ?? estimate);
+  });
+
+  const top = viewport.scrollTop - viewport.header;
+  let start = 0;
+  while (start < keys.length && offsets[start + 1] < top) start += 1;
+  let end = start;
+  while (end < keys.length && offsets[end] < top + viewport.height) end += 1;
+
+  start = Math.max(0, start - overscan);
+  end = Math.min(keys.length, end + overscan);
+
+  return {
+    containerRef: setContainer,
+    measure,
+    start,
+    end,
+    padTop: offsets[start],
+    padBottom: offsets[keys.length] - offsets[end]
+  };
+}
@@ -0,0 +1,50 @@
+export const STAGES = {
+  draft: 'Draft',
+  submitted: 'Submitted',
+  approved: 'Approved',
+  paid: 'Paid'
+};
+
+export function recordStage(record) {
+  return record?.stage || (record?.paid ? 'paid' : 'draft');
+}
+
+export function submitRecord(record, actor, at, net) {
+  if (recordStage(record) !== 'draft') return record;
+  return {
+    ...record,
+    stage: 'submitted',
+    submittedBy: actor,
+    submittedAt: at,
+    submittedNet: net,
+    approvedBy: '',
+    approvedAt: ''
+  };
+}
+
+export function approveRecord(record, actor, at) {
+  if (recordStage(record) !== 'submitted' || record.submittedBy === actor) return record;
+  return { ...record, stage: 'approved', approvedBy: actor, approvedAt: at };
+}
+
+export function rejectRecord(record) {
+  if (recordStage(record) !== 'submitted') return record;
+  return { ...record, stage: 'draft', submittedBy: '', submittedAt: '' };
+}
+
+export function payChanged(record, net) {
+  return recordStage(record) !== 'draft' && record.submittedNet !== undefined && record.submittedNet !== net;
+}
+
+export function returnToDraft(record) {
+  const { submittedNet, ...rest } = record;
+  return { ...rest, stage: 'draft', submittedBy: '', submittedAt: '', approvedBy: '', approvedAt: '' };
+}
+
+export function stageCounts(employees, monthRecords) {
+  const counts = Object.fromEntries(Object.keys(STAGES).map((stage) => [stage, 0]));
+  for (const employee of employees) {
+    counts[recordStage(monthRecords[employee.id])] += 1;
+  }
+  return counts;
+}
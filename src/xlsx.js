@@ -0,0 +1,74 @@
+import { strFromU8, unzipSync } from 'fflate';
+
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+
+function parseXml(bytes) {
+  return new DOMParser().parseFromString(strFromU8(bytes), 'application/xml');
+}
+
+function columnIndex(reference) {
+  const letters = reference.replace(/\d+/g, '');
+  let index = 0;
+  for (const letter of letters) {
+    index = index * 26 + (letter.charCodeAt(0) - 64);
+  }
+  return index - 1;
+}
+
+function resolveFirstSheet(files) {
+  const workbook = files['xl/workbook.xml'] && parseXml(files['xl/workbook.xml']);
+  const rels = files['xl/_rels/workbook.xml.rels'] && parseXml(files['xl/_rels/workbook.xml.rels']);
+  const sheet = workbook?.getElementsByTagName('sheet')[0];
+  const relId = sheet?.getAttribute('r:id');
+
+  if (rels && relId) {
+    for (const rel of rels.getElementsByTagName('Relationship')) {
+      if (rel.getAttribute('Id') === relId) {
+        const target = rel.getAttribute('Target').replace(/^\//, '');
+        return target.startsWith('xl/') ? target : `xl/${target}`;
+      }
+    }
+  }
+
+  return 'xl/worksheets/sheet1.xml';
+}
+
+export function excelSerialToDate(serial) {
+  return new Date(EXCEL_EPOCH + Math.round(serial * 86400000)).toISOString().slice(0, 10);
+}
+
+export async function readXlsxRows(file) {
+  const files = unzipSync(new Uint8Array(await file.arrayBuffer()));
+  const sheetPath = resolveFirstSheet(files);
+  if (!files[sheetPath]) {
+    throw new Error('The workbook does not contain a readable worksheet.');
+  }
+
+  const sharedStrings = files['xl/sharedStrings.xml']
+    ? [...parseXml(files['xl/sharedStrings.xml']).getElementsByTagName('si')].map((item) =>
+        [...item.getElementsByTagName('t')].map((node) => node.textContent).join('')
+      )
+    : [];
+
+  const rows = [];
+  for (const rowNode of parseXml(files[sheetPath]).getElementsByTagName('row')) {
+    const row = [];
+    for (const cellNode of rowNode.getElementsByTagName('c')) {
+      const type = cellNode.getAttribute('t');
+      const valueNode = cellNode.getElementsByTagName('v')[0];
+      let value = valueNode?.textContent ?? '';
+
+      if ((!type || type === 'n') && value !== '') value = Number(value);
+      if (type === 's') value = sharedStrings[Number(value)] ?? '';
+      if (type === 'inlineStr') {
+        value = [...cellNode.getElementsByTagName('t')].map((node) => node.textContent).join('');
+      }
+
+      const reference = cellNode.getAttribute('r');
+      row[reference ? columnIndex(reference) : row.length] = value;
+    }
+    rows.push(Array.from(row, (value) => value ?? ''));
+  }
+
+  return rows.filter((cells) => cells.some((value) => String(value).trim() !== ''));
+}
@@ -1,7 +1,59 @@
+import { createHash } from 'node:crypto';
+import { readFileSync } from 'node:fs';
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
 
+const base = process.env.VITE_BASE_PATH || '/';
+const PUBLIC_FILES = ['index.html', 'icon.svg', 'manifest.webmanifest'];
+
+function offlineApp() {
+  return {
+    name: 'payroll-offline-app',
+    apply: 'build',
+    enforce: 'post',
+    transformIndexHtml() {
+      return [
+        { tag: 'link', attrs: { rel: 'manifest', href: `${base}manifest.webmanifest` }, injectTo: 'head' },
+        { tag: 'link', attrs: { rel: 'icon', type: 'image/svg+xml', href: `${base}icon.svg` }, injectTo: 'head' },
+        { tag: 'meta', attrs: { name: 'theme-color', content: '#132126' }, injectTo: 'head' }
+      ];
+    },
+    generateBundle(options, bundle) {
+      this.emitFile({
+        type: 'asset',
+        fileName: 'manifest.webmanifest',
+        source: JSON.stringify(
+          {
+            name: 'Payroll Control Center',
+            short_name: 'Payroll',
+            description: 'Monthly payroll, payment proofs and audit trail.',
+            start_url: base,
+            scope: base,
+            display: 'standalone',
+            background_color: '#f6f5ef',
+            theme_color: '#132126',
+            icons: [{ src: `${base}icon.svg`, sizes: 'any', type: 'image/svg+xml', purpose: 'any maskable' }]
+          },
+          null,
+          2
+        )
+      });
+
+      const files = [...new Set([...PUBLIC_FILES, ...Object.keys(bundle)])].filter((file) => file !== 'sw.js').sort();
+      const version = createHash('sha256').update(files.join('\n')).digest('hex').slice(0, 12);
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source:
+          `const VERSION = ${JSON.stringify(version)};\n` +
+          `const PRECACHE = ${JSON.stringify(files)};\n\n` +
+          readFileSync(new URL('./src/serviceWorker.js', import.meta.url), 'utf8')
+      });
+    }
+  };
+}
+
 export default defineConfig({
-  plugins: [react()],
-  base: process.env.VITE_BASE_PATH || '/'
+  plugins: [react(), offlineApp()],
+  base
 });